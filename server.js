@@ -1,3 +1,8 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
@@ -7,27 +12,615 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Browsers may only call from CORS_ORIGINS (comma-separated, or * for any origin);
+// without it, no cross-origin requests are allowed. Webhooks are server-to-server.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const REQUEST_BODY_LIMIT = process.env.REQUEST_BODY_LIMIT || '100kb';
+
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS }));
+// Keep the raw request bytes around so webhook signatures can be verified
+const captureRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(bodyParser.json({ verify: captureRawBody, limit: REQUEST_BODY_LIMIT }));
+app.use(bodyParser.urlencoded({ extended: true, verify: captureRawBody, limit: REQUEST_BODY_LIMIT }));
+
+// Per-request (or per-job) context, e.g. Notion call counters for run summaries
+const requestContext = new AsyncLocalStorage();
+
+// `requestId` correlates every log line of a request, including the jobs it queues.
+// `logFields` (see setLogFields) are added to every log line written in the context.
+function createContext(requestId = crypto.randomUUID()) {
+  return { requestId, workspace: null, notionCalls: 0, notionRetries: 0, run: null, logFields: {} };
+}
+
+// Context of the current request/job (a throwaway one outside of either)
+function currentContext() {
+  return requestContext.getStore() || createContext(null);
+}
+
+// ─── Logging ────────────────────────────────────────────────────────────────
+// Every console.* call is written as one JSON line with its level and the current
+// request ID, run ID and workspace: { time, level, msg, requestId, runId, workspace }.
+// Handlers add what they're working on (storyId, workflow, templateId, …) with
+// setLogFields, and log() takes extra fields (pageId, status, …) for single lines.
+// LOG_LEVEL filters (debug, info, warn, error; default info) and LOG_FORMAT=pretty
+// prints plain text for local development. Every line is redacted first: values
+// under auth-looking keys, and any configured token or secret wherever it appears.
+//
+// A run keeps its last RUN_LOG_MAX_LINES lines; warnings and errors that would drop
+// out are kept as well (up to as many again), so failures and the final summary survive.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+const RUN_LOG_MAX_LINES = 200;
+const SENSITIVE_KEY_PATTERN = /authorization|cookie|token|secret|signature|password|api[-_]?key/i;
+const REDACTED = '[REDACTED]';
+
+// Run record → { lines, dropped } while the run is in memory (saved to DATA_DIR when it finishes)
+const runLogs = new WeakMap();
+
+const knownSecrets = new Set();
+const rawConsole = {
+  log: console.log.bind(console),
+  warn: console.warn.bind(console),
+  error: console.error.bind(console)
+};
+
+// Remember a token or secret so it's scrubbed from every log line
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= 8) knownSecrets.add(value);
+}
+
+function redactString(text) {
+  let redacted = text;
+  for (const secret of knownSecrets) {
+    redacted = redacted.split(secret).join(REDACTED);
+  }
+  return redacted;
+}
+
+// Copy of plain objects/arrays with sensitive keys masked; other objects are left for
+// util.format and scrubbed as text afterwards
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object') return value;
+  if (!Array.isArray(value) && ![Object.prototype, null].includes(Object.getPrototypeOf(value))) return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redact(item, seen));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item, seen)]
+  ));
+}
+
+// Set (or, with undefined, clear) fields added to every later log line of this request/job
+function setLogFields(fields) {
+  const context = requestContext.getStore();
+  if (!context) return;
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) delete context.logFields[key];
+    else context.logFields[key] = value;
+  }
+}
+
+// Keep the newest lines: drop the oldest debug/info line once over the limit, and
+// the oldest line of any level past twice the limit
+function keepRunLogLine(runLog, entry) {
+  runLog.lines.push(entry);
+  if (runLog.lines.length <= RUN_LOG_MAX_LINES) return;
+
+  const index = runLog.lines.findIndex(line => LOG_LEVELS[line.level] < LOG_LEVELS.warn);
+  if (index === -1 && runLog.lines.length <= RUN_LOG_MAX_LINES * 2) return;
+  runLog.lines.splice(Math.max(index, 0), 1);
+  runLog.dropped++;
+}
+
+// Write one log line; `fields` are added to the JSON entry
+function log(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(message),
+    ...(context?.requestId && { requestId: context.requestId }),
+    ...(context?.run && { runId: context.run.id }),
+    ...(context?.workspace && { workspace: context.workspace }),
+    ...redact({ ...context?.logFields, ...fields })
+  };
+
+  const runLog = context?.run && runLogs.get(context.run);
+  if (runLog) keepRunLogLine(runLog, entry);
+
+  const write = level === 'error' ? rawConsole.error : level === 'warn' ? rawConsole.warn : rawConsole.log;
+  write(LOG_FORMAT === 'pretty'
+    ? `${entry.requestId ? `[${entry.requestId.slice(0, 8)}] ` : ''}${entry.msg}`
+    : JSON.stringify(entry));
+}
+
+const logWithLevel = (level) => (...args) => log(level, util.format(...args.map(arg => redact(arg))));
+console.debug = logWithLevel('debug');
+console.log = logWithLevel('info');
+console.info = logWithLevel('info');
+console.warn = logWithLevel('warn');
+console.error = logWithLevel('error');
+
+// Requests get a correlation ID (a caller's X-Request-Id is kept), echoed back in the response
+app.use((req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  const requestId = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    log(res.statusCode >= 500 ? 'error' : 'info', `${req.method} ${req.path} ${res.statusCode}`, {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  requestContext.run(createContext(requestId), next);
+});
+
+// ─── Metrics ────────────────────────────────────────────────────────────────
+// Counters and histograms served at GET /metrics in Prometheus text format. Handlers
+// and helpers update them where they already count things for their summaries.
+
+const metricRegistry = [];
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
 
-// Initialize Notion client
-const notion = new Client({
-  auth: process.env.NOTION_API_TOKEN || process.env.NOTION_API_KEY,
+function createCounter(name, help) {
+  const series = new Map();
+  const counter = {
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      if (amount <= 0) return;
+      const key = labelKey(labels);
+      const current = series.get(key) || { labels, value: 0 };
+      current.value += amount;
+      series.set(key, current);
+    },
+    render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  };
+  metricRegistry.push(counter);
+  return counter;
+}
+
+// `buckets` are upper bounds in seconds
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+  const histogram = {
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, seconds) {
+      const key = labelKey(labels);
+      const current = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => { if (seconds <= bound) current.counts[i]++; });
+      current.sum += seconds;
+      current.count++;
+      series.set(key, current);
+    },
+    render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ])
+  };
+  metricRegistry.push(histogram);
+  return histogram;
+}
+
+const webhookRequests = createCounter('koii_webhook_requests_total', 'Webhook runs by route and outcome');
+const webhookDuration = createHistogram('koii_webhook_duration_seconds', 'Webhook run duration by route and outcome',
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]);
+const notionRequests = createCounter('koii_notion_requests_total', 'Notion API calls by method and result code (ok or the error code)');
+const notionDuration = createHistogram('koii_notion_request_duration_seconds', 'Notion API call duration by method',
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+const workflowPagesCreated = createCounter('koii_workflow_pages_created_total', 'Stories created by workflow copies');
+const promoSends = createCounter('koii_promo_sends_total', 'Promo sends by result (created, skipped or failed)');
+const dependencyResolutions = createCounter('koii_dependency_resolutions_total',
+  'Cross-workflow dependency links by result (updated, failed, or unresolved within the run)');
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of metricRegistry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+  }
+  return lines.join('\n') + '\n';
+}
+
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
 });
 
+// ─── Notion Client ──────────────────────────────────────────────────────────
+// Every Notion call goes through callNotion(), which:
+// - spaces requests out to NOTION_REQUESTS_PER_SECOND (Notion averages 3/s per integration)
+// - retries rate_limited (429), conflict_error (409), 5xx and timeouts, honoring
+//   Retry-After when Notion sends it and using jittered exponential backoff otherwise
+// - retries calls that aren't safe to repeat (pages.create, blocks.children.append) only
+//   on 429 or a connection that failed before the request went out: after a timeout or
+//   5xx Notion may already have applied the write, and a retry would duplicate it
+
+const NOTION_REQUESTS_PER_SECOND = parseFloat(process.env.NOTION_REQUESTS_PER_SECOND || '3');
+const NOTION_MAX_RETRIES = parseInt(process.env.NOTION_MAX_RETRIES || '5', 10);
+const NOTION_RETRY_BASE_MS = parseInt(process.env.NOTION_RETRY_BASE_MS || '500', 10);
+const NOTION_RETRY_MAX_MS = 30000;
+
+const RETRYABLE_NOTION_CODES = new Set([
+  'rate_limited',
+  'conflict_error',
+  'internal_server_error',
+  'service_unavailable',
+  'notionhq_client_request_timeout'
+]);
+
+const NON_IDEMPOTENT_NOTION_METHODS = new Set(['pages.create', 'blocks.children.append']);
+
+// Connection errors raised before anything reached Notion
+const PRE_SEND_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryableNotionError(method, error) {
+  if (NON_IDEMPOTENT_NOTION_METHODS.has(method)) {
+    return error.code === 'rate_limited' || error.status === 429
+      || PRE_SEND_ERROR_CODES.has(error.code) || PRE_SEND_ERROR_CODES.has(error.cause?.code);
+  }
+  return RETRYABLE_NOTION_CODES.has(error.code) || error.status >= 500;
+}
+
+// Delay before the next attempt: Retry-After if present, else full-jitter backoff
+function getRetryDelay(error, attempt) {
+  const headers = error.headers;
+  const retryAfter = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const retryAfterSeconds = parseFloat(retryAfter);
+
+  if (!Number.isNaN(retryAfterSeconds)) {
+    return retryAfterSeconds * 1000 + Math.random() * NOTION_RETRY_BASE_MS;
+  }
+
+  const ceiling = Math.min(NOTION_RETRY_MAX_MS, NOTION_RETRY_BASE_MS * 2 ** attempt);
+  return Math.random() * ceiling;
+}
+
+// Wrap a Notion Client so every endpoint method (e.g. pages.retrieve) is throttled and retried
+function createNotionClient(auth) {
+  const client = new Client({ auth });
+  const minIntervalMs = 1000 / NOTION_REQUESTS_PER_SECOND;
+  let nextSlot = 0;
+
+  async function throttle() {
+    const now = Date.now();
+    const wait = nextSlot - now;
+    nextSlot = Math.max(now, nextSlot) + minIntervalMs;
+    if (wait > 0) await sleep(wait);
+  }
+
+  async function callNotion(method, fn, args) {
+    const context = currentContext();
+
+    for (let attempt = 0; ; attempt++) {
+      await throttle();
+      context.notionCalls++;
+
+      const startedAt = Date.now();
+      try {
+        const result = await fn();
+        log('debug', `Notion ${method}`, { notionMethod: method, attempt, durationMs: Date.now() - startedAt });
+        notionRequests.inc({ method, code: 'ok' });
+        notionDuration.observe({ method }, (Date.now() - startedAt) / 1000);
+        trackNotionWrite(context.run, method, args, result);
+        return result;
+      } catch (error) {
+        notionRequests.inc({ method, code: error.code || error.status || 'unknown' });
+        notionDuration.observe({ method }, (Date.now() - startedAt) / 1000);
+        if (attempt >= NOTION_MAX_RETRIES || !isRetryableNotionError(method, error)) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(error, attempt);
+        context.notionRetries++;
+        console.log(`⏳ Notion ${method} failed with ${error.code || error.status}, retry ${attempt + 1}/${NOTION_MAX_RETRIES} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  const wrap = (target, prefix) => new Proxy(target, {
+    get(obj, prop) {
+      const value = obj[prop];
+      const name = prefix ? `${prefix}.${String(prop)}` : String(prop);
+      if (typeof value === 'function') {
+        return (args) => callNotion(name, () => value.call(obj, args), args);
+      }
+      if (value && typeof value === 'object') {
+        return wrap(value, name);
+      }
+      return value;
+    }
+  });
+
+  return wrap(client, '');
+}
+
+// Every result of a paginated Notion endpoint (databases.query, blocks.children.list,
+// pages.properties.retrieve), following next_cursor 100 results at a time
+async function collectPaginated(list, params) {
+  const results = [];
+  let cursor;
+
+  do {
+    const response = await list({
+      ...params,
+      page_size: 100,
+      ...(cursor && { start_cursor: cursor })
+    });
+
+    results.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return results;
+}
+
+// ─── Working Calendar ───────────────────────────────────────────────────────
+// DATE_TRANSLATION_MODE=business translates template dates by working days instead of a
+// fixed calendar offset. Weekend days come from WEEKEND_DAYS (e.g. "sat,sun" or "0,6"),
+// holidays from HOLIDAYS (comma-separated YYYY-MM-DD) and/or a Notion database
+// (HOLIDAYS_DB_ID, first date property of each page; ranges count every day).
+// Dates that land on a non-working day roll back to the previous working day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Accept arrays (WORKSPACES JSON) or comma-separated strings (env)
+function parseList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseWeekday(value) {
+  const index = /^\d$/.test(value) ? parseInt(value, 10) : WEEKDAY_NAMES.indexOf(value.toLowerCase().slice(0, 3));
+  if (index < 0 || index > 6) {
+    throw new Error(`Invalid weekend day "${value}": use sun-sat or 0-6`);
+  }
+  return index;
+}
+
+function toDateKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function createCalendarConfig(workspaceName, config) {
+  const mode = config.dateMode || 'calendar';
+  if (mode !== 'calendar' && mode !== 'business') {
+    throw new Error(`Invalid date mode "${mode}" for workspace "${workspaceName}": use calendar or business`);
+  }
+
+  const weekendDays = new Set((config.weekendDays ? parseList(config.weekendDays) : ['sat', 'sun']).map(parseWeekday));
+  if (weekendDays.size === 7) {
+    throw new Error(`Workspace "${workspaceName}" has no working days`);
+  }
+
+  const holidays = parseList(config.holidays);
+  const invalidHoliday = holidays.find(day => !/^\d{4}-\d{2}-\d{2}$/.test(day));
+  if (invalidHoliday) {
+    throw new Error(`Invalid holiday "${invalidHoliday}" for workspace "${workspaceName}": use YYYY-MM-DD`);
+  }
+
+  return { mode, weekendDays, holidays, holidaysDbId: config.holidaysDbId || null };
+}
+
+// Holidays from the workspace's holidays database, as YYYY-MM-DD keys
+async function getHolidaysFromNotion(workspace) {
+  const holidays = [];
+  const pages = await collectPaginated(workspace.notion.databases.query, {
+    database_id: workspace.calendar.holidaysDbId
+  });
+
+  for (const page of pages) {
+    const dateProperty = Object.values(page.properties || {}).find(property => property.type === 'date' || property.date);
+    const range = dateProperty?.date;
+    if (!range?.start) continue;
+
+    const end = new Date(range.end || range.start);
+    for (let day = new Date(range.start); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+      holidays.push(toDateKey(day));
+    }
+  }
+
+  return holidays;
+}
+
+// The workspace's working calendar for one run, or null in calendar mode
+async function loadWorkingCalendar(workspace) {
+  const { mode, weekendDays, holidays, holidaysDbId } = workspace.calendar;
+  if (mode !== 'business') {
+    return null;
+  }
+
+  const allHolidays = new Set(holidays);
+  if (holidaysDbId) {
+    try {
+      for (const day of await getHolidaysFromNotion(workspace)) {
+        allHolidays.add(day);
+      }
+    } catch (error) {
+      throw new Error(`Failed to load holidays from database ${holidaysDbId}: ${error.message}`);
+    }
+  }
+
+  console.log(`📆 Business-day calendar: weekends [${[...weekendDays].map(day => WEEKDAY_NAMES[day]).join(', ')}], ${allHolidays.size} holiday(s)`);
+  return { weekendDays, holidays: allHolidays };
+}
+
+function isWorkingDay(date, calendar) {
+  return !calendar.weekendDays.has(date.getUTCDay()) && !calendar.holidays.has(toDateKey(date));
+}
+
+// Roll a date back to the nearest working day (unchanged if it already is one)
+function rollToWorkingDay(date, calendar) {
+  let day = new Date(date);
+  while (!isWorkingDay(day, calendar)) {
+    day = new Date(day.getTime() - DAY_MS);
+  }
+  return day;
+}
+
+// Move a working day by `count` working days (negative moves back)
+function addWorkingDays(date, count, calendar) {
+  const step = count < 0 ? -DAY_MS : DAY_MS;
+  let day = new Date(date);
+  for (let remaining = Math.abs(count); remaining > 0;) {
+    day = new Date(day.getTime() + step);
+    if (isWorkingDay(day, calendar)) remaining--;
+  }
+  return day;
+}
+
+// Signed number of working days from one working day to another
+function countWorkingDays(from, to, calendar) {
+  const sign = to < from ? -1 : 1;
+  const [start, end] = sign > 0 ? [from, to] : [to, from];
+  let count = 0;
+  for (let day = new Date(start.getTime() + DAY_MS); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    if (isWorkingDay(day, calendar)) count++;
+  }
+  return sign * count;
+}
+
+// ─── Workspaces ─────────────────────────────────────────────────────────────
+// Each workspace profile has its own Notion token (and Client), database IDs and
+// webhook secrets. The "default" profile comes from the plain env vars below;
+// more profiles come from WORKSPACES (inline JSON) or WORKSPACES_FILE (path to JSON):
+//
+//   { "acme": { "token": "ntn_…", "promoSendsDbId": "…", "storiesDbId": "…", … } }
+//
+// `tokenEnv` can name an env var holding the token instead of inlining it.
+// Webhooks pick a profile by route (/w/:workspace/webhook/…) or X-Koii-Workspace header.
+
+const DEFAULT_WORKSPACE = 'default';
+
 // Database IDs — Workflow Copy
 // NOTE: This workflow-copy feature was built for the Trass Notion workspace.
 // The original DB IDs are stale. Before reuse, set these env vars and review
 // property names in the target workspace (epic relations, date fields, etc.)
-const PRODUCT_WORKFLOWS_DB_ID = process.env.PRODUCT_WORKFLOWS_DB_ID;
-const STORIES_DB_ID = process.env.STORIES_DB_ID;
+//
+// Database IDs — Promo Sends: PROMO_STORIES_DB_ID, PROMO_CHANNELS_DB_ID, PROMO_SENDS_DB_ID
+const DEFAULT_WORKSPACE_CONFIG = {
+  token: process.env.NOTION_API_TOKEN || process.env.NOTION_API_KEY,
+  productWorkflowsDbId: process.env.PRODUCT_WORKFLOWS_DB_ID,
+  storiesDbId: process.env.STORIES_DB_ID,
+  promoStoriesDbId: process.env.PROMO_STORIES_DB_ID,
+  promoChannelsDbId: process.env.PROMO_CHANNELS_DB_ID,
+  promoSendsDbId: process.env.PROMO_SENDS_DB_ID,
+  // Webhook secrets — one per route. Routes without a secret reject every request
+  // unless ALLOW_UNSIGNED_WEBHOOKS=true.
+  notionWebhookSecret: process.env.NOTION_WEBHOOK_SECRET,
+  promoWebhookSecret: process.env.PROMO_WEBHOOK_SECRET,
+  // Working calendar for date translation (see Working Calendar below)
+  dateMode: process.env.DATE_TRANSLATION_MODE,
+  weekendDays: process.env.WEEKEND_DAYS,
+  holidays: process.env.HOLIDAYS,
+  holidaysDbId: process.env.HOLIDAYS_DB_ID,
+  timeZone: process.env.TIME_ZONE
+};
+
+function createWorkspace(name, config) {
+  const token = config.tokenEnv ? process.env[config.tokenEnv] : config.token;
+  [token, config.notionWebhookSecret, config.promoWebhookSecret].forEach(registerSecret);
+
+  return {
+    name,
+    token,
+    notion: createNotionClient(token),
+    db: {
+      productWorkflows: config.productWorkflowsDbId,
+      stories: config.storiesDbId,
+      promoStories: config.promoStoriesDbId,
+      promoChannels: config.promoChannelsDbId,
+      promoSends: config.promoSendsDbId
+    },
+    secrets: {
+      workflowCopy: config.notionWebhookSecret,
+      promoSends: config.promoWebhookSecret
+    },
+    calendar: createCalendarConfig(name, config),
+    // IANA time zone for send-time windows (e.g. "America/New_York")
+    timeZone: config.timeZone || null
+  };
+}
+
+function loadWorkspaces() {
+  const loaded = new Map([[DEFAULT_WORKSPACE, createWorkspace(DEFAULT_WORKSPACE, DEFAULT_WORKSPACE_CONFIG)]]);
+
+  let profiles = {};
+  if (process.env.WORKSPACES_FILE) {
+    profiles = JSON.parse(fs.readFileSync(process.env.WORKSPACES_FILE, 'utf8'));
+  } else if (process.env.WORKSPACES) {
+    profiles = JSON.parse(process.env.WORKSPACES);
+  }
+
+  for (const [name, config] of Object.entries(profiles)) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid workspace name "${name}": use letters, numbers, - and _`);
+    }
+    loaded.set(name, createWorkspace(name, config));
+  }
+
+  return loaded;
+}
+
+const workspaces = loadWorkspaces();
+
+function getWorkspace(name = DEFAULT_WORKSPACE) {
+  return workspaces.get(name) || null;
+}
 
-// Database IDs — Promo Sends
-const PROMO_STORIES_DB_ID = process.env.PROMO_STORIES_DB_ID;
-const PROMO_CHANNELS_DB_ID = process.env.PROMO_CHANNELS_DB_ID;
-const PROMO_SENDS_DB_ID = process.env.PROMO_SENDS_DB_ID;
+// Middleware: attach the workspace named by the route or X-Koii-Workspace header
+function resolveWorkspace(req, res, next) {
+  const name = req.params.workspace || req.headers['x-koii-workspace'] || DEFAULT_WORKSPACE;
+  const workspace = getWorkspace(name);
+
+  if (!workspace) {
+    return res.status(404).json({ error: `Unknown workspace: ${name}` });
+  }
+
+  req.workspace = workspace;
+  currentContext().workspace = workspace.name;
+  next();
+}
+
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+
+// Workflow copies run inside the request unless WORKFLOW_COPY_ASYNC is set or the caller passes async
+const WORKFLOW_COPY_ASYNC = process.env.WORKFLOW_COPY_ASYNC === 'true';
+
+// Local persistent data (delivery ledger, etc.)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Idempotency: deliveries without an explicit event ID are deduped per page
+// for IDEMPOTENCY_WINDOW_SECONDS; recorded results are kept for IDEMPOTENCY_TTL_HOURS
+const IDEMPOTENCY_WINDOW_SECONDS = parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS || '120', 10);
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10);
 
 // Store recent debug messages
 let debugMessages = [];
@@ -43,510 +636,2889 @@ function addDebugMessage(message) {
   }
 }
 
-// Webhook endpoint for Notion button
-app.post('/webhook/notion', async (req, res) => {
+// ─── Local Persistent Store ─────────────────────────────────────────────────
+// Small key/value stores backed by one JSON file each in DATA_DIR. The whole
+// file is rewritten (write + rename) on every change, so keep them small.
+// With `deferWrites`, changes are written asynchronously and coalesced, for stores
+// written on every request where losing the last moment before a crash is fine.
+// flushPendingWrites() waits for those (and run log files) to land.
+
+const pendingWrites = new Set();
+
+// Track a background write until it settles (the writers catch their own errors)
+function trackWrite(promise) {
+  pendingWrites.add(promise);
+  promise.finally(() => pendingWrites.delete(promise));
+  return promise;
+}
+
+// Resolves once every background write has finished, including ones queued meanwhile
+async function flushPendingWrites() {
+  while (pendingWrites.size > 0) {
+    await Promise.all([...pendingWrites]);
+  }
+}
+
+function createJsonStore(name, { deferWrites = false } = {}) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let records = {};
+  let writing = null;
+  let writePending = false;
+
   try {
-    console.log('🚀 Received webhook request');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
-    console.log('Request headers:', JSON.stringify(req.headers, null, 2));
+    records = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Could not read ${file}, starting empty:`, error.message);
+    }
+  }
 
-    // Extract multiple epic IDs, target date, and workflow types from webhook payload
-    // New format: single row with multi-select workflows and multiple epic relations
-    let epicId = req.body.epicId; // Fallback for backward compatibility
-    let webhookTargetDate = req.body.targetDate || req.body.fulfillBy;
-    let selectedWorkflows = req.body.workflows || req.body.Workflows || [];
+  function save() {
+    if (deferWrites) {
+      writePending = true;
+      writing = writing || trackWrite(writeDeferred());
+      return;
+    }
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(records));
+    fs.renameSync(tmpFile, file);
+  }
 
-    // Extract epic relations for each workflow type
-    let batchEpicId = req.body.batchEpic || req.body['Batch Epic'];
-    let skuEpicId = req.body.skuEpic || req.body['SKU Epic'];
-    let marketEpicId = req.body.marketEpic || req.body['Market Epic'];
+  // One write at a time; changes made during a write are picked up by the next one
+  async function writeDeferred() {
+    try {
+      while (writePending) {
+        writePending = false;
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        const tmpFile = `${file}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify(records));
+        await fs.promises.rename(tmpFile, file);
+      }
+    } catch (error) {
+      console.error(`❌ Could not write ${file}:`, error.message);
+    } finally {
+      writing = null;
+    }
+  }
 
-    // FIRST: Extract data from triggering page properties (new format)
-    if (req.body.data?.properties) {
-      const generatorProps = req.body.data.properties;
+  return {
+    get: (key) => records[key],
+    values: () => Object.values(records),
+    set(key, value) {
+      records[key] = value;
+      save();
+      return value;
+    },
+    delete(key) {
+      if (key in records) {
+        delete records[key];
+        save();
+      }
+    },
+    // Drop every record matching the predicate
+    prune(predicate) {
+      const staleKeys = Object.keys(records).filter(key => predicate(records[key]));
+      staleKeys.forEach(key => delete records[key]);
+      if (staleKeys.length > 0) save();
+    }
+  };
+}
 
-      // Extract target date from triggering page properties if not in webhook
-      if (!webhookTargetDate) {
-        const targetDateProp = generatorProps['Target date'] ||
-                              generatorProps['Target Date'] ||
-                              generatorProps['Fulfill By'] ||
-                              generatorProps['Fulfill by'] ||
-                              generatorProps['Due Date'] ||
-                              generatorProps['Due'] ||
-                              generatorProps['Deadline'];
+// ─── Run History ────────────────────────────────────────────────────────────
+// Every webhook invocation and scheduled run is recorded in DATA_DIR: the normalized
+// input, the steps it went through, the pages it created, updated or archived, errors
+// and timing. Handlers add to the current run through recordRunInput/recordRunStep;
+// Notion page writes are picked up by the Notion client wrapper.
+//
+// Records stay small: inputs and summaries are compacted (template payloads and
+// page maps become counts) and log lines go to one file per run in run-logs/.
+
+const RUN_HISTORY_RETENTION_DAYS = parseInt(process.env.RUN_HISTORY_RETENTION_DAYS || '14', 10);
+const RUN_HISTORY_MAX_RUNS = parseInt(process.env.RUN_HISTORY_MAX_RUNS || '500', 10);
+const RUN_STATUSES = ['running', 'queued', 'completed', 'failed', 'interrupted'];
+const RUN_LOGS_DIR = path.join(DATA_DIR, 'run-logs');
+
+// Summary keys holding full Notion payloads or ID maps; stored as `<key>Count`
+const RUN_SUMMARY_COUNTED_KEYS = new Set(['workflowPages', 'templateToPageMap', 'properties', 'receivedPayload', 'receivedBody']);
+const RUN_SUMMARY_MAX_ITEMS = 50;
+const RUN_SUMMARY_MAX_STRING = 500;
+
+const runHistory = createJsonStore('run-history', { deferWrites: true });
+
+// Runs still open from a previous process never finished
+for (const run of runHistory.values()) {
+  if (run.status === 'running' || run.status === 'queued') {
+    runHistory.set(run.id, { ...run, status: 'interrupted' });
+  }
+}
 
-        if (targetDateProp?.date?.start) {
-          webhookTargetDate = targetDateProp.date.start;
-          console.log('📅 Found target date in triggering page properties:', webhookTargetDate);
-        }
+// Copy of a run's input or summary that keeps counts, IDs and errors but not bulk:
+// long arrays and strings are cut, heavy keys become counts
+function compactRunSummary(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.length > RUN_SUMMARY_MAX_STRING ? `${value.slice(0, RUN_SUMMARY_MAX_STRING)}…` : value;
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= 5) return '[…]';
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, RUN_SUMMARY_MAX_ITEMS).map(item => compactRunSummary(item, depth + 1));
+    return value.length > RUN_SUMMARY_MAX_ITEMS ? [...items, { moreItems: value.length - RUN_SUMMARY_MAX_ITEMS }] : items;
+  }
+
+  const compact = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (RUN_SUMMARY_COUNTED_KEYS.has(key)) {
+      compact[`${key}Count`] = item && typeof item === 'object' ? Object.keys(item).length : 0;
+    } else {
+      compact[key] = compactRunSummary(item, depth + 1);
+    }
+  }
+  return compact;
+}
+
+function getRunLogFile(runId) {
+  return path.join(RUN_LOGS_DIR, `${runId}.jsonl`);
+}
+
+// Write a finished run's log lines to their own file; they stay readable from memory
+// until the write is done
+async function saveRunLogs(run) {
+  const lines = runLogs.get(run)?.lines;
+  if (!lines) return;
+
+  try {
+    await fs.promises.mkdir(RUN_LOGS_DIR, { recursive: true });
+    await fs.promises.writeFile(getRunLogFile(run.id), lines.map(entry => JSON.stringify(entry)).join('\n'));
+  } catch (error) {
+    console.error(`❌ Could not save logs for run ${run.id}:`, error.message);
+  } finally {
+    runLogs.delete(run);
+  }
+}
+
+// Log lines of a run: from memory while it's open, else from its file
+async function readRunLogs(run) {
+  if (runLogs.has(run)) return runLogs.get(run).lines;
+  try {
+    const text = await fs.promises.readFile(getRunLogFile(run.id), 'utf8');
+    return text ? text.split('\n').map(line => JSON.parse(line)) : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+function startRun(endpoint, workspace, { trigger = 'webhook', input = null } = {}) {
+  const run = {
+    id: crypto.randomUUID(),
+    requestId: currentContext().requestId,
+    endpoint,
+    workspace: workspace?.name || null,
+    trigger,
+    status: 'running',
+    httpStatus: null,
+    input: compactRunSummary(input),
+    steps: [],
+    pagesCreated: [],
+    pagesUpdated: [],
+    pagesArchived: [],
+    errors: [],
+    summary: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    notionCalls: 0,
+    notionRetries: 0,
+    logLines: 0,
+    logLinesDropped: 0
+  };
+  runLogs.set(run, { lines: [], dropped: 0 });
+  runHistory.set(run.id, run);
+  return run;
+}
+
+function finishRun(run, context, { status, summary = null, error = null }) {
+  run.status = status;
+  run.summary = compactRunSummary(summary);
+  if (error) run.errors.push(error);
+  run.finishedAt = new Date().toISOString();
+  run.durationMs = Date.parse(run.finishedAt) - Date.parse(run.startedAt);
+  run.notionCalls = context.notionCalls;
+  run.notionRetries = context.notionRetries;
+  // May be called from a response event, so log inside the run's own context
+  requestContext.run(context, () => log(status === 'failed' ? 'warn' : 'info', `🏁 Run ${status}`, {
+    status,
+    endpoint: run.endpoint,
+    httpStatus: run.httpStatus,
+    durationMs: run.durationMs,
+    pagesCreated: run.pagesCreated.length,
+    errors: run.errors.length
+  }));
+  run.logLines = runLogs.get(run)?.lines.length ?? 0;
+  run.logLinesDropped = runLogs.get(run)?.dropped ?? 0;
+  runHistory.set(run.id, run);
+  trackWrite(saveRunLogs(run));
+  pruneRunHistory();
+}
+
+function pruneRunHistory() {
+  const cutoff = Date.now() - RUN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const newest = runHistory.values()
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .slice(0, RUN_HISTORY_MAX_RUNS);
+  const kept = new Set(newest.map(run => run.id));
+  const isStale = run => !kept.has(run.id) || Date.parse(run.startedAt) < cutoff;
+
+  for (const run of runHistory.values().filter(isStale)) {
+    fs.promises.rm(getRunLogFile(run.id), { force: true }).catch(() => {});
+  }
+  runHistory.prune(isStale);
+}
+
+// Replace the raw request with the input the handler actually worked from
+function recordRunInput(input) {
+  const run = currentContext().run;
+  if (run) run.input = compactRunSummary(input);
+}
+
+function recordRunStep(step, details = {}) {
+  const run = currentContext().run;
+  if (run) run.steps.push({ step, at: new Date().toISOString(), ...details });
+}
+
+// Pages a run wrote, from the Notion client wrapper
+function trackNotionWrite(run, method, args, result) {
+  if (!run) return;
+  if (method === 'pages.create' && result?.id) {
+    run.pagesCreated.push(result.id);
+  } else if (method === 'pages.update' && args?.page_id) {
+    const list = args.archived ? run.pagesArchived : run.pagesUpdated;
+    if (!list.includes(args.page_id)) list.push(args.page_id);
+  }
+}
+
+// Middleware: record the request as a run. Place after idempotent() so replays aren't
+// recorded twice. Async workflow copies stay "queued" until their job finishes.
+function recordRun(endpoint) {
+  return (req, res, next) => {
+    const context = currentContext();
+    const { token, ...query } = req.query;
+    const run = startRun(endpoint, req.workspace, { input: { query, body: req.body } });
+    context.run = run;
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      run.response = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const body = run.response;
+      delete run.response;
+      run.httpStatus = res.statusCode;
+
+      if (run.jobId) {
+        if (run.status === 'running') run.status = 'queued';
+        runHistory.set(run.id, run);
+        return;
       }
 
-      // Extract selected workflows from multi-select property
-      if (!selectedWorkflows.length) {
-        const workflowsProp = generatorProps['Workflows'] ||
-                             generatorProps['workflows'] ||
-                             generatorProps['Workflow'];
+      const failed = res.statusCode >= 400;
+      finishRun(run, context, {
+        status: failed ? 'failed' : 'completed',
+        summary: failed ? null : body || null,
+        error: failed ? { message: body?.error || `HTTP ${res.statusCode}`, details: body?.details || null } : null
+      });
+    });
+
+    // Queued runs are counted when the response goes out, not when their job ends
+    res.on('finish', () => {
+      const outcome = run.jobId ? 'queued' : res.statusCode >= 400 ? 'failed' : 'completed';
+      const seconds = (Date.now() - Date.parse(run.startedAt)) / 1000;
+      webhookRequests.inc({ route: endpoint, outcome });
+      webhookDuration.observe({ route: endpoint, outcome }, seconds);
+    });
+
+    next();
+  };
+}
+
+// Run without its step list and page IDs, for listings
+function describeRun(run) {
+  const { steps, pagesCreated, pagesUpdated, pagesArchived, input, summary, ...rest } = run;
+  return {
+    ...rest,
+    steps: steps.length,
+    pagesCreated: pagesCreated.length,
+    pagesUpdated: pagesUpdated.length,
+    pagesArchived: pagesArchived.length
+  };
+}
+
+// YYYY-MM-DD or ISO timestamp → ms; a bare `to` date covers that whole day
+function parseRunDateFilter(value, endOfDay = false) {
+  if (value === undefined) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return NaN;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// Recorded runs, newest first. Filters: endpoint, status, workspace, requestId, from, to, limit
+app.get('/runs', requireAdmin, (req, res) => {
+  const { endpoint, status, workspace, requestId } = req.query;
+  if (status && !RUN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status "${status}": use ${RUN_STATUSES.join(', ')}` });
+  }
+
+  const from = parseRunDateFilter(req.query.from);
+  const to = parseRunDateFilter(req.query.to, true);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'Invalid from/to date: use YYYY-MM-DD or an ISO timestamp' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), RUN_HISTORY_MAX_RUNS);
+  const runs = runHistory.values()
+    .filter(run => !endpoint || run.endpoint === endpoint)
+    .filter(run => !status || run.status === status)
+    .filter(run => !workspace || run.workspace === workspace)
+    .filter(run => !requestId || run.requestId === requestId)
+    .filter(run => from === null || Date.parse(run.startedAt) >= from)
+    .filter(run => to === null || Date.parse(run.startedAt) <= to)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+  res.json({ total: runs.length, runs: runs.slice(0, limit).map(describeRun) });
+});
+
+app.get('/runs/:id', requireAdmin, (req, res) => {
+  const run = runHistory.get(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+  }
+  const runLog = runLogs.get(run);
+  res.json({ ...run, logLines: runLog?.lines.length ?? run.logLines, logLinesDropped: runLog?.dropped ?? run.logLinesDropped });
+});
+
+// The run's log lines (the last RUN_LOG_MAX_LINES, plus earlier warnings and errors).
+// ?level=warn for warnings and errors only, ?format=text for one plain line each
+app.get('/runs/:id/logs', requireAdmin, async (req, res) => {
+  const run = runHistory.get(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+  }
+
+  const minLevel = req.query.level || 'debug';
+  if (!LOG_LEVELS[minLevel]) {
+    return res.status(400).json({ error: `Invalid level "${minLevel}": use ${Object.keys(LOG_LEVELS).join(', ')}` });
+  }
+
+  let logs;
+  try {
+    logs = (await readRunLogs(run)).filter(entry => LOG_LEVELS[entry.level] >= LOG_LEVELS[minLevel]);
+  } catch (error) {
+    console.error(`❌ Could not read logs for run ${run.id}:`, error.message);
+    return res.status(500).json({ error: 'Could not read run logs', details: error.message });
+  }
+  if (req.query.format === 'text') {
+    return res.type('text/plain').send(logs.map(entry => `${entry.time} ${entry.level.toUpperCase()} ${entry.msg}`).join('\n') + '\n');
+  }
+  res.json({ runId: run.id, requestId: run.requestId, logs });
+});
+
+// ─── Webhook Verification ───────────────────────────────────────────────────
+// Callers prove they know the route's shared secret in one of two ways:
+// 1. Signature — `X-Koii-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`.
+//    Signatures older (or newer) than WEBHOOK_TOLERANCE_SECONDS are rejected as stale.
+// 2. Token — `X-Webhook-Token: <secret>` header or `?token=<secret>` query param.
+//    Notion buttons can set custom headers but can't compute a signature, so they use this.
+//
+// A route without a secret fails closed (503) unless ALLOW_UNSIGNED_WEBHOOKS=true, e.g. for
+// local development.
+
+const ALLOW_UNSIGNED_WEBHOOKS = process.env.ALLOW_UNSIGNED_WEBHOOKS === 'true';
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// HMAC-SHA256 of "<timestamp>.<payload>", hex encoded
+function signPayload(secret, timestamp, payload) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+// Check a request against a secret, returns { ok, reason }
+function checkWebhookAuth(req, secret) {
+  const signatureHeader = req.headers['x-koii-signature'];
+
+  if (signatureHeader) {
+    const parts = Object.fromEntries(
+      signatureHeader.split(',').map(part => part.trim().split('=')).filter(kv => kv.length === 2)
+    );
+    const timestamp = parseInt(parts.t, 10);
+
+    if (!timestamp || !parts.v1) {
+      return { ok: false, reason: 'Malformed X-Koii-Signature header' };
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      return { ok: false, reason: 'Signature timestamp is outside the allowed window' };
+    }
+
+    const expected = signPayload(secret, timestamp, req.rawBody ? req.rawBody.toString('utf8') : '');
+    return safeEqual(parts.v1, expected)
+      ? { ok: true }
+      : { ok: false, reason: 'Signature does not match' };
+  }
+
+  const token = req.headers['x-webhook-token'] || req.query.token;
+  if (token) {
+    return safeEqual(token, secret)
+      ? { ok: true }
+      : { ok: false, reason: 'Invalid webhook token' };
+  }
+
+  return { ok: false, reason: 'Missing X-Koii-Signature or X-Webhook-Token' };
+}
+
+// Middleware: reject requests that aren't signed with the route's secret.
+// Runs after resolveWorkspace, since secrets are per workspace. Rejections are counted
+// under `endpoint` (the run-history name) when one is given.
+function verifyWebhook(route, endpoint) {
+  return (req, res, next) => {
+    const secret = req.workspace.secrets[route];
+    if (!secret) {
+      if (ALLOW_UNSIGNED_WEBHOOKS) return next();
+      if (endpoint) webhookRequests.inc({ route: endpoint, outcome: 'unauthorized' });
+      console.log(`🔒 Rejected ${req.method} ${req.path}: no ${route} webhook secret for workspace "${req.workspace.name}"`);
+      return res.status(503).json({
+        error: 'Webhook verification is not configured',
+        details: `Set a ${route} webhook secret for workspace "${req.workspace.name}", or ALLOW_UNSIGNED_WEBHOOKS=true to accept unsigned requests`
+      });
+    }
+
+    const result = checkWebhookAuth(req, secret);
+    if (!result.ok) {
+      if (endpoint) webhookRequests.inc({ route: endpoint, outcome: 'unauthorized' });
+      console.log(`🔒 Rejected ${req.method} ${req.path}: ${result.reason}`);
+      return res.status(401).json({ error: 'Webhook verification failed', details: result.reason });
+    }
+    next();
+  };
+}
+
+// ─── Admin Auth ─────────────────────────────────────────────────────────────
+// Diagnostic and operator routes (/debug, /test-epic, /runs, /metrics, /schedules,
+// /promo-sends/backfill-channels, …) need ADMIN_API_KEY, sent as `Authorization: Bearer
+// <key>`, `X-Admin-Key: <key>`, or basic auth with the key as the password (any username)
+// so a browser can open them. Without ADMIN_API_KEY those routes are disabled. Routes an
+// automation also calls (job status, undo, the digest) take the admin key or the route's
+// webhook secret. Webhook routes keep their own secrets.
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+registerSecret(ADMIN_API_KEY);
+
+function getAdminCredential(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  if (authorization.startsWith('Basic ')) {
+    const decoded = Buffer.from(authorization.slice('Basic '.length), 'base64').toString('utf8');
+    return decoded.slice(decoded.indexOf(':') + 1);
+  }
+  return req.headers['x-admin-key'] || null;
+}
+
+function isAdminRequest(req) {
+  const credential = getAdminCredential(req);
+  return Boolean(ADMIN_API_KEY && credential && safeEqual(credential, ADMIN_API_KEY));
+}
+
+// Middleware: only callers with the admin key
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ error: 'Admin routes are disabled: set ADMIN_API_KEY to enable them' });
+  }
+  if (!isAdminRequest(req)) {
+    console.log(`🔒 Rejected ${req.method} ${req.path}: missing or invalid admin key`);
+    res.set('WWW-Authenticate', 'Basic realm="koii-server admin"');
+    return res.status(401).json({ error: 'Admin authentication required' });
+  }
+  next();
+}
+
+// Middleware: the admin key, or the webhook secret of the route that created the resource
+// (callers polling the job or run they started only have that). Needs req.workspace.
+function requireAdminOrWebhook(route, endpoint) {
+  return (req, res, next) => isAdminRequest(req) ? next() : verifyWebhook(route, endpoint)(req, res, next);
+}
+
+// ─── Outbound Webhooks ──────────────────────────────────────────────────────
+// Subscribers get a signed JSON event when a run finishes, e.g. `promo_sync.completed`
+// or `workflow_copy.failed`, carrying the same summary the handler returns.
+// WEBHOOK_SUBSCRIPTIONS (inline JSON) or WEBHOOK_SUBSCRIPTIONS_FILE (path to JSON):
+//
+//   [{ "name": "ops", "url": "https://…", "events": ["*.failed"], "secretEnv": "OPS_HOOK_SECRET" },
+//    { "name": "team-slack", "url": "https://hooks.slack.com/…", "events": ["*"], "format": "slack" }]
+//
+// Signatures use the same X-Koii-Signature scheme as inbound webhooks. Failed deliveries
+// are retried with exponential backoff; ones that never get through land in a persisted
+// dead-letter list and can be redelivered from there.
+
+const OUTBOUND_WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS || '5', 10);
+const OUTBOUND_WEBHOOK_RETRY_BASE_MS = parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_MS || '1000', 10);
+const OUTBOUND_WEBHOOK_TIMEOUT_MS = 10000;
+const DEAD_LETTER_RETENTION_DAYS = 30;
+const WEBHOOK_FORMATS = ['json', 'slack'];
+
+const deadLetters = createJsonStore('webhook-dead-letters');
+
+// Event pattern like "*.failed" or "promo_sync.*" → RegExp
+function compileEventPattern(pattern) {
+  if (typeof pattern !== 'string' || !/^[\w*]+(\.[\w*]+)?$/.test(pattern)) {
+    throw new Error(`Invalid event pattern "${pattern}"`);
+  }
+  return new RegExp(`^${pattern.replace(/\./g, '\\.').replace(/\*/g, '.*')}$`);
+}
+
+function createSubscription(config, index) {
+  const name = config.name || `webhook-${index + 1}`;
+
+  let url;
+  try {
+    url = new URL(config.url);
+  } catch {
+    throw new Error(`Webhook subscription "${name}" has an invalid url`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`Webhook subscription "${name}" must use an http(s) url`);
+  }
+
+  if (!Array.isArray(config.events) || config.events.length === 0) {
+    throw new Error(`Webhook subscription "${name}" needs a list of events`);
+  }
+
+  const format = config.format || 'json';
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    throw new Error(`Webhook subscription "${name}" has unknown format "${format}": use ${WEBHOOK_FORMATS.join(' or ')}`);
+  }
+
+  if (config.workspace && !getWorkspace(config.workspace)) {
+    throw new Error(`Webhook subscription "${name}" uses unknown workspace "${config.workspace}"`);
+  }
+
+  let events;
+  try {
+    events = config.events.map(compileEventPattern);
+  } catch (error) {
+    throw new Error(`Webhook subscription "${name}": ${error.message}`);
+  }
+
+  const secret = config.secret || (config.secretEnv ? process.env[config.secretEnv] : null) || null;
+  registerSecret(secret);
+
+  return {
+    name,
+    url: url.toString(),
+    events,
+    format,
+    workspace: config.workspace || null,
+    secret
+  };
+}
+
+function loadSubscriptions() {
+  let configs = [];
+  if (process.env.WEBHOOK_SUBSCRIPTIONS_FILE) {
+    configs = JSON.parse(fs.readFileSync(process.env.WEBHOOK_SUBSCRIPTIONS_FILE, 'utf8'));
+  } else if (process.env.WEBHOOK_SUBSCRIPTIONS) {
+    configs = JSON.parse(process.env.WEBHOOK_SUBSCRIPTIONS);
+  }
+
+  const loaded = configs.map(createSubscription);
+  const names = new Set();
+  for (const subscription of loaded) {
+    if (names.has(subscription.name)) {
+      throw new Error(`Duplicate webhook subscription name "${subscription.name}"`);
+    }
+    names.add(subscription.name);
+  }
+  return loaded;
+}
+
+const subscriptions = loadSubscriptions();
+
+// Event type for a job or schedule task, e.g. "workflow-copy" → "workflow_copy"
+function toEventKind(task) {
+  return task.replace(/-/g, '_');
+}
+
+// Slack incoming-webhook payload: a one-line outcome plus the counts (or the error)
+function toSlackMessage(event) {
+  const [kind, outcome] = event.type.split('.');
+  const label = kind.replace(/_/g, ' ');
+  const icon = outcome === 'failed' ? '❌' : '✅';
+  const source = event.schedule ? ` (schedule \`${event.schedule}\`)` : '';
+  const lines = [`${icon} *${label[0].toUpperCase()}${label.slice(1)} ${outcome}* in workspace \`${event.workspace}\`${source}`];
+
+  if (outcome === 'failed') {
+    lines.push(`> ${event.data.details || event.data.error}`);
+  } else {
+    const counts = Object.entries(event.data)
+      .filter(([, value]) => typeof value === 'number')
+      .map(([key, value]) => `${key}: ${value}`);
+    if (counts.length > 0) lines.push(counts.join(' · '));
+  }
+
+  return { text: lines.join('\n') };
+}
+
+// POST one event to one subscriber, retrying network errors, 429s and 5xx with backoff.
+// Returns true once delivered; after the last attempt the event is dead-lettered.
+async function deliverEvent(subscription, event) {
+  const body = JSON.stringify(subscription.format === 'slack' ? toSlackMessage(event) : event);
+  let lastError = null;
+  let attempts = 0;
+
+  while (attempts < OUTBOUND_WEBHOOK_MAX_ATTEMPTS) {
+    attempts++;
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'koii-server',
+      'X-Koii-Event': event.type,
+      'X-Koii-Delivery': event.id
+    };
+    if (subscription.secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers['X-Koii-Signature'] = `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`;
+    }
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(OUTBOUND_WEBHOOK_TIMEOUT_MS)
+      });
+      if (response.ok) {
+        console.log(`📤 Delivered ${event.type} to ${subscription.name}`);
+        return true;
+      }
+      lastError = `HTTP ${response.status}`;
+      // Other 4xx won't succeed on a retry
+      if (response.status < 500 && response.status !== 429) break;
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    if (attempts < OUTBOUND_WEBHOOK_MAX_ATTEMPTS) {
+      const delay = OUTBOUND_WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1);
+      console.log(`⏳ Delivering ${event.type} to ${subscription.name} failed (${lastError}), retry ${attempts}/${OUTBOUND_WEBHOOK_MAX_ATTEMPTS - 1} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+
+  console.error(`❌ Giving up on ${event.type} for ${subscription.name} after ${attempts} attempt(s): ${lastError}`);
+  const cutoff = Date.now() - DEAD_LETTER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  deadLetters.prune(letter => Date.parse(letter.failedAt) < cutoff);
+  const id = crypto.randomUUID();
+  deadLetters.set(id, {
+    id,
+    subscription: subscription.name,
+    event,
+    attempts,
+    error: lastError,
+    failedAt: new Date().toISOString()
+  });
+  return false;
+}
+
+// Send an event to every matching subscriber in the background. `data` is the run's summary.
+function publishEvent(type, workspace, data, { trigger = 'webhook', schedule = null } = {}) {
+  const matching = subscriptions.filter(subscription =>
+    (!subscription.workspace || subscription.workspace === workspace.name) &&
+    subscription.events.some(pattern => pattern.test(type))
+  );
+  if (matching.length === 0) return;
+
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    workspace: workspace.name,
+    trigger,
+    ...(schedule && { schedule }),
+    data
+  };
+
+  for (const subscription of matching) {
+    deliverEvent(subscription, event).catch(error =>
+      console.error(`❌ Delivering ${type} to ${subscription.name} failed:`, error.message)
+    );
+  }
+}
+
+// Events that never got through, newest first
+app.get('/webhooks/dead-letters', requireAdmin, (req, res) => {
+  const letters = deadLetters.values().sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+  res.json({ deadLetters: letters });
+});
+
+// Try a dead-lettered event again; it's dropped from the list and re-added if it fails again
+app.post('/webhooks/dead-letters/:id/retry', requireAdmin, (req, res) => {
+  const letter = deadLetters.get(req.params.id);
+  if (!letter) {
+    return res.status(404).json({ error: `Dead letter not found: ${req.params.id}` });
+  }
+
+  const subscription = subscriptions.find(sub => sub.name === letter.subscription);
+  if (!subscription) {
+    return res.status(409).json({ error: `Webhook subscription "${letter.subscription}" no longer exists` });
+  }
+
+  deadLetters.delete(letter.id);
+  deliverEvent(subscription, letter.event).catch(error =>
+    console.error(`❌ Redelivering ${letter.event.type} to ${subscription.name} failed:`, error.message)
+  );
+  res.status(202).json({ message: 'Redelivery started', eventId: letter.event.id });
+});
+
+// ─── Idempotency ────────────────────────────────────────────────────────────
+// Notion retries automations and people double-click buttons. Every delivery is
+// recorded in a persisted ledger; a repeat of a completed delivery gets the
+// original response back instead of running again.
+//
+// Keys come from (first match wins):
+// 1. An explicit ID — `Idempotency-Key` header, or the automation event ID in the payload
+// 2. The triggering page ID — deduped for IDEMPOTENCY_WINDOW_SECONDS
+// 3. A hash of the raw body — same window as above
+//
+// The route's mode options (query or body) are part of every key, so e.g. a prune
+// sync right after a normal one for the same story runs instead of replaying.
+//
+// Responses are stored compacted like run summaries (template payloads and page maps
+// become counts), and the ledger file is written in the background.
+
+const deliveryLedger = createJsonStore('delivery-ledger', { deferWrites: true });
+const IN_PROGRESS_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Options that change what a delivery does, per route
+const IDEMPOTENCY_OPTIONS = {
+  workflowCopy: ['async', 'schedule', 'workflows', 'targetDate', 'fulfillBy', 'batchEpic', 'skuEpic', 'marketEpic'],
+  promoSends: ['prune']
+};
+
+// "name=value&…" of the options set on a request, sorted; query and body values
+// normalize to the same string (?prune=true and "prune": true match)
+function getIdempotencyOptions(req, route) {
+  const body = { ...req.body, workflows: req.body.workflows || req.body.Workflows };
+  const options = new URLSearchParams();
+
+  for (const name of [...(IDEMPOTENCY_OPTIONS[route] || [])].sort()) {
+    const value = req.query[name] ?? body[name];
+    if (value === undefined || value === null || value === '' || value === false || value === 'false') continue;
+    options.set(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+
+  return options.toString();
+}
+
+function getIdempotencyKey(req, route) {
+  const prefix = `${req.workspace.name}:${route}`;
+  const options = getIdempotencyOptions(req, route);
+  const suffix = options ? `?${options}` : '';
+
+  const eventId = req.headers['idempotency-key'] ||
+                  req.body.idempotencyKey ||
+                  req.body.source?.event_id ||
+                  req.body.eventId ||
+                  req.body.event_id;
+
+  if (eventId) {
+    return { id: `${prefix}:event:${eventId}${suffix}`, windowMs: IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000 };
+  }
+
+  const pageId = req.body.storyId ||
+                 req.body.epicId ||
+                 req.body.data?.id ||
+                 req.body.page?.id ||
+                 req.body.pageId ||
+                 req.body.id;
+
+  const scope = pageId && typeof pageId === 'string'
+    ? `page:${pageId}`
+    : `body:${crypto.createHash('sha256').update(req.rawBody || '').digest('hex')}`;
+
+  return { id: `${prefix}:${scope}${suffix}`, windowMs: IDEMPOTENCY_WINDOW_SECONDS * 1000 };
+}
+
+// Whether a ledger entry still applies to a new delivery
+function isLedgerEntryLive(entry, now = Date.now()) {
+  const age = now - new Date(entry.createdAt).getTime();
+  if (entry.status === 'in_progress') return age < IN_PROGRESS_TIMEOUT_MS;
+  return age < entry.windowMs;
+}
+
+// Dry runs don't write anything, so they're neither recorded nor replayed
+function isDryRun(req) {
+  return req.query.dryRun === 'true' || req.body.dryRun === true;
+}
+
+// Middleware: replay completed deliveries, refuse concurrent duplicates. Both are
+// counted under `endpoint`, since recordRun() never sees them.
+function idempotent(route, endpoint) {
+  return (req, res, next) => {
+    if (isDryRun(req)) return next();
+
+    const key = getIdempotencyKey(req, route);
+    const existing = deliveryLedger.get(key.id);
+
+    if (existing && isLedgerEntryLive(existing)) {
+      if (existing.status === 'completed') {
+        webhookRequests.inc({ route: endpoint, outcome: 'replay' });
+        console.log(`♻️ Replaying recorded response for ${key.id}`);
+        res.set('Idempotent-Replay', 'true');
+        return res.status(existing.statusCode).json(existing.response);
+      }
+      webhookRequests.inc({ route: endpoint, outcome: 'duplicate' });
+      console.log(`⏳ Duplicate delivery while still processing: ${key.id}`);
+      return res.status(409).json({
+        error: 'This delivery is already being processed',
+        idempotencyKey: key.id
+      });
+    }
+
+    deliveryLedger.prune(entry => !isLedgerEntryLive(entry));
+    deliveryLedger.set(key.id, {
+      route,
+      status: 'in_progress',
+      windowMs: key.windowMs,
+      createdAt: new Date().toISOString()
+    });
+
+    // Record successful responses; forget failed ones so the sender can retry
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 300) {
+        deliveryLedger.set(key.id, {
+          ...deliveryLedger.get(key.id),
+          status: 'completed',
+          statusCode: res.statusCode,
+          response: compactRunSummary(body),
+          completedAt: new Date().toISOString()
+        });
+      } else {
+        deliveryLedger.delete(key.id);
+      }
+      return sendJson(body);
+    };
+
+    next();
+  };
+}
+
+// Webhook endpoint for Notion button
+app.post(['/webhook/notion', '/w/:workspace/webhook/notion'], resolveWorkspace, verifyWebhook('workflowCopy', 'webhook/notion'), idempotent('workflowCopy', 'webhook/notion'), recordRun('webhook/notion'), async (req, res) => {
+  try {
+    const { workspace } = req;
+    console.log(`🚀 Received webhook request (workspace: ${workspace.name})`);
+    console.debug('Request body:', req.body);
+
+    // Extract multiple epic IDs, target date, and workflow types from webhook payload
+    // New format: single row with multi-select workflows and multiple epic relations
+    let epicId = req.body.epicId; // Fallback for backward compatibility
+    let webhookTargetDate = req.body.targetDate || req.body.fulfillBy;
+    let selectedWorkflows = req.body.workflows || req.body.Workflows || [];
+
+    // Extract epic relations for each workflow type
+    let batchEpicId = req.body.batchEpic || req.body['Batch Epic'];
+    let skuEpicId = req.body.skuEpic || req.body['SKU Epic'];
+    let marketEpicId = req.body.marketEpic || req.body['Market Epic'];
+
+    // FIRST: Extract data from triggering page properties (new format)
+    if (req.body.data?.properties) {
+      const generatorProps = req.body.data.properties;
+
+      // Extract target date from triggering page properties if not in webhook
+      if (!webhookTargetDate) {
+        const targetDateProp = generatorProps['Target date'] ||
+                              generatorProps['Target Date'] ||
+                              generatorProps['Fulfill By'] ||
+                              generatorProps['Fulfill by'] ||
+                              generatorProps['Due Date'] ||
+                              generatorProps['Due'] ||
+                              generatorProps['Deadline'];
+
+        if (targetDateProp?.date?.start) {
+          webhookTargetDate = targetDateProp.date.start;
+          console.log('📅 Found target date in triggering page properties:', webhookTargetDate);
+        }
+      }
+
+      // Extract selected workflows from multi-select property
+      if (!selectedWorkflows.length) {
+        const workflowsProp = generatorProps['Workflows'] ||
+                             generatorProps['workflows'] ||
+                             generatorProps['Workflow'];
+
+        if (workflowsProp?.multi_select) {
+          selectedWorkflows = workflowsProp.multi_select.map(item => item.name);
+          console.log('🔄 Found selected workflows:', selectedWorkflows);
+        } else if (workflowsProp?.select?.name) {
+          selectedWorkflows = [workflowsProp.select.name];
+          console.log('🔄 Found single workflow:', selectedWorkflows);
+        }
+      }
+
+      // Extract epic relations for each workflow type
+      if (!batchEpicId) {
+        const batchEpicProp = generatorProps['📚 Batch Epic'] ||
+                             generatorProps['Batch Epic'] ||
+                             generatorProps['batchEpic'] ||
+                             generatorProps['Batch'];
+
+        if (batchEpicProp?.relation?.[0]?.id) {
+          batchEpicId = batchEpicProp.relation[0].id;
+        }
+      }
+
+      if (!skuEpicId) {
+        const skuEpicProp = generatorProps['📚 SKU Epic'] ||
+                           generatorProps['SKU Epic'] ||
+                           generatorProps['skuEpic'] ||
+                           generatorProps['SKU'];
+
+        if (skuEpicProp?.relation?.[0]?.id) {
+          skuEpicId = skuEpicProp.relation[0].id;
+        }
+      }
+
+      if (!marketEpicId) {
+        const marketEpicProp = generatorProps['📚 Market Epic'] ||
+                              generatorProps['Market Epic'] ||
+                              generatorProps['marketEpic'] ||
+                              generatorProps['Market'];
+
+        if (marketEpicProp?.relation?.[0]?.id) {
+          marketEpicId = marketEpicProp.relation[0].id;
+        }
+      }
+    }
+
+    // SECOND: Check headers for epic ID (in case it's sent there)
+    if (!epicId && req.headers.epicid && req.headers.epicid !== '{{page.id}}') {
+      epicId = req.headers.epicid;
+    }
+
+    // THIRD: Fallback to the triggering page ID (current page)
+    if (!epicId) {
+      epicId = req.body.data?.id ||  // Notion automation sends page ID here
+               req.body.page?.id ||
+               req.body.pageId ||
+               req.body.id ||
+               req.body.context?.pageId ||
+               req.body.automationContext?.pageId;
+    }
+
+    console.log(`🎯 Webhook: ${selectedWorkflows.length} workflows, target=${webhookTargetDate || 'none'}, epics=[${[batchEpicId, skuEpicId, marketEpicId].filter(Boolean).join(', ')}]`);
+
+    // Validate that selected workflows have corresponding epic relations
+    const workflowEpicMap = {
+      'New batch': batchEpicId,
+      'Batch': batchEpicId,
+      'batch': batchEpicId,
+      'New Batch': batchEpicId,
+      'new batch': batchEpicId,
+      'New SKU': skuEpicId,
+      'SKU': skuEpicId,
+      'sku': skuEpicId,
+      'New Market': marketEpicId,
+      'Market': marketEpicId,
+      'market': marketEpicId
+    };
+
+    const missingEpics = [];
+    selectedWorkflows.forEach(workflow => {
+      if (!workflowEpicMap[workflow]) {
+        missingEpics.push(workflow);
+      }
+    });
+
+    if (missingEpics.length > 0) {
+      console.log('❌ Missing epic relations for workflows:', missingEpics);
+      return res.status(400).json({
+        error: `Missing epic relations for selected workflows: ${missingEpics.join(', ')}`,
+        receivedPayload: req.body,
+        suggestion: 'Please set the corresponding epic relation properties for the selected workflows'
+      });
+    }
+
+    if (selectedWorkflows.length === 0) {
+      console.log('❌ No workflows selected');
+      return res.status(400).json({
+        error: 'No workflows selected. Please select at least one workflow.',
+        receivedPayload: req.body,
+        suggestion: 'Select workflows using the "Workflows" multi-select property'
+      });
+    }
+
+    // Process multiple workflows
+    try {
+      const workflowConfigs = selectedWorkflows.map(workflow => ({
+        type: workflow,
+        epicId: workflowEpicMap[workflow],
+        name: workflow
+      }));
+
+      // Date mode: translate template dates, or schedule from the dependency graph
+      const schedule = req.query.schedule || req.body.schedule || WORKFLOW_SCHEDULE_MODE;
+      if (!SCHEDULE_MODES.includes(schedule)) {
+        return res.status(400).json({ error: `Invalid schedule "${schedule}": use ${SCHEDULE_MODES.join(' or ')}` });
+      }
+
+      recordRunInput({ workflows: workflowConfigs, targetDate: webhookTargetDate || null, schedule, dryRun: isDryRun(req) });
+
+      // Dry run: return the plan without writing anything to Notion
+      if (isDryRun(req)) {
+        console.log('🔍 Dry run: previewing workflows', workflowConfigs.map(w => w.name));
+        const plan = await processMultipleWorkflows(workspace, workflowConfigs, webhookTargetDate, { dryRun: true, schedule });
+        return res.status(200).json({ message: 'Dry run completed, nothing was written to Notion', ...plan });
+      }
+
+      // Async mode: queue the copy and answer before Notion's webhook timeout
+      const runAsync = WORKFLOW_COPY_ASYNC || req.query.async === 'true' || req.body.async === true;
+      if (runAsync) {
+        const job = enqueueJob('workflow-copy', workspace, workflowConfigs.length, (progress) =>
+          processMultipleWorkflows(workspace, workflowConfigs, webhookTargetDate, { progress, schedule })
+        );
+        console.log(`📥 Queued workflow copy job ${job.id}`);
+        return res.status(202).json({
+          message: 'Workflow processing queued',
+          jobId: job.id,
+          statusUrl: `/jobs/${job.id}`
+        });
+      }
+
+      console.log('🔄 Processing workflows:', workflowConfigs.map(w => w.name));
+
+      const progress = createWorkflowProgress(workflowConfigs.length);
+      const results = await processMultipleWorkflows(workspace, workflowConfigs, webhookTargetDate, { progress, schedule });
+
+      console.log('✅ Webhook processing completed successfully');
+      const { notionCalls, notionRetries } = currentContext();
+      const summary = {
+        message: 'Workflow processing completed successfully',
+        runId: progress.runId,
+        results: results,
+        schedule: progress.schedule,
+        notionCalls,
+        notionRetries
+      };
+      publishEvent('workflow_copy.completed', workspace, summary);
+      res.status(200).json(summary);
+    } catch (processingError) {
+      console.error('❌ Workflow processing failed:', processingError);
+      publishEvent('workflow_copy.failed', workspace, {
+        error: 'Workflow processing failed',
+        details: processingError.message,
+        workflowType: selectedWorkflows
+      });
+      if (processingError.code === 'dependency_cycle') {
+        return res.status(422).json({
+          error: 'Workflow templates have a dependency cycle',
+          details: processingError.message,
+          cycle: processingError.cycle
+        });
+      }
+      res.status(500).json({
+        error: 'Workflow processing failed',
+        details: processingError.message,
+        workflowType: selectedWorkflows
+      });
+    }
+  } catch (webhookError) {
+    console.error('❌ Webhook processing error:', webhookError);
+    console.error('Error stack:', webhookError.stack);
+
+    // Ensure we always return a proper response
+    if (!res.headersSent) {
+      res.status(400).json({
+        error: 'Webhook processing failed',
+        details: webhookError.message,
+        receivedBody: req.body
+      });
+    }
+  }
+});
+
+// ─── Background Jobs ────────────────────────────────────────────────────────
+// Jobs run one at a time, in the order they were queued, so concurrent copies
+// don't compete for Notion's rate limit. Live progress is kept in memory; each job is
+// also saved to DATA_DIR when it's queued, starts and finishes (results compacted like
+// run summaries) and kept at least as long as the delivery ledger can replay its ID.
+
+const jobs = new Map();
+const jobQueue = [];
+const MAX_JOBS = 200;
+let jobWorkerRunning = false;
+
+const savedJobs = createJsonStore('jobs', { deferWrites: true });
+
+// Jobs queued or running in a previous process never finished
+for (const job of savedJobs.values()) {
+  if (job.status === 'queued' || job.status === 'running') {
+    savedJobs.set(job.id, {
+      ...job,
+      status: 'interrupted',
+      error: 'The server restarted before the job finished',
+      finishedAt: job.finishedAt || new Date().toISOString()
+    });
+  }
+}
+
+function saveJob(job) {
+  savedJobs.set(job.id, { ...job, result: compactRunSummary(job.result) });
+}
+
+// Fresh progress tracker for a workflow copy run
+function createWorkflowProgress(workflowsTotal = 0) {
+  return {
+    workflowsTotal,
+    workflowsCompleted: 0,
+    currentWorkflow: null,
+    pagesCopied: 0,
+    errors: []
+  };
+}
+
+// Queue a job. `run` receives the job's progress object and resolves to the result.
+// Finished jobs publish `<type>.completed` / `<type>.failed` events for the workspace.
+function enqueueJob(type, workspace, workflowsTotal, run) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    workspace: workspace.name,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    notionCalls: 0,
+    notionRetries: 0,
+    progress: createWorkflowProgress(workflowsTotal),
+    result: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  savedJobs.prune(saved => Date.now() - Date.parse(saved.createdAt) > IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000);
+  saveJob(job);
+
+  // The request's run history record stays open until the job finishes
+  const { run: runRecord, requestId } = currentContext();
+  if (runRecord) runRecord.jobId = job.id;
+  jobQueue.push({ job, run, workspace, runRecord, requestId });
+
+  // Forget the oldest finished jobs once we're over the cap
+  for (const [id, oldJob] of jobs) {
+    if (jobs.size <= MAX_JOBS) break;
+    if (oldJob.status === 'completed' || oldJob.status === 'failed') jobs.delete(id);
+  }
+
+  setImmediate(runJobQueue);
+  return job;
+}
+
+async function runJobQueue() {
+  if (jobWorkerRunning) return;
+  jobWorkerRunning = true;
+
+  try {
+    while (jobQueue.length > 0) {
+      const { job, run, workspace, runRecord, requestId } = jobQueue.shift();
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      saveJob(job);
+      console.log(`⚙️ Starting job ${job.id} (${job.type})`);
+
+      // Each job counts its own Notion calls, separate from the request that queued it,
+      // but logs under that request's ID
+      const context = createContext(requestId);
+      context.workspace = workspace.name;
+      context.run = runRecord || null;
+
+      try {
+        job.result = await requestContext.run(context, () => run(job.progress));
+        job.status = 'completed';
+        console.log(`✅ Job ${job.id} completed`);
+      } catch (error) {
+        job.status = 'failed';
+        job.error = error.message;
+        job.progress.errors.push({ message: error.message });
+        console.error(`❌ Job ${job.id} failed:`, error.message);
+      }
+
+      job.notionCalls = context.notionCalls;
+      job.notionRetries = context.notionRetries;
+      job.finishedAt = new Date().toISOString();
+      saveJob(job);
+
+      if (runRecord) {
+        finishRun(runRecord, context, job.status === 'completed'
+          ? { status: 'completed', summary: { jobId: job.id, runId: job.progress.runId, results: job.result } }
+          : { status: 'failed', error: { message: 'Job failed', details: job.error } });
+      }
+
+      const { notionCalls, notionRetries } = job;
+      publishEvent(`${toEventKind(job.type)}.${job.status}`, workspace, job.status === 'completed'
+        ? { jobId: job.id, runId: job.progress.runId, results: job.result, schedule: job.progress.schedule, notionCalls, notionRetries }
+        : { jobId: job.id, error: 'Job failed', details: job.error, notionCalls, notionRetries },
+      { trigger: 'job' });
+    }
+  } finally {
+    jobWorkerRunning = false;
+  }
+}
+
+// Middleware: load the job and its workspace (whose webhook secret also unlocks its status).
+// Jobs no longer in memory (restart, over MAX_JOBS) come from the saved copy.
+function loadJob(req, res, next) {
+  const job = jobs.get(req.params.id) || savedJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+
+  req.job = job;
+  req.workspace = getWorkspace(job.workspace) || getWorkspace();
+  next();
+}
+
+// Job status endpoint
+app.get('/jobs/:id', loadJob, requireAdminOrWebhook('workflowCopy'), (req, res) => {
+  res.json(req.job);
+});
+
+// ─── Workflow Runs (undo) ───────────────────────────────────────────────────
+// Every workflow copy run records the pages it created and the relations it set,
+// persisted in DATA_DIR, so a run into the wrong epic or with the wrong target
+// date can be rolled back by run ID.
+
+const workflowRuns = createJsonStore('workflow-runs');
+const WORKFLOW_RUN_RETENTION_DAYS = parseInt(process.env.WORKFLOW_RUN_RETENTION_DAYS || '30', 10);
+
+// Copies and undos cut off by a restart never finished; they can still be undone
+for (const run of workflowRuns.values()) {
+  if (run.status === 'running' || run.status === 'undoing') {
+    workflowRuns.set(run.id, { ...run, status: 'interrupted', finishedAt: run.finishedAt || new Date().toISOString() });
+  }
+}
+
+// Create a run record, returns its ID
+function startWorkflowRun(workspace, workflowConfigs, referenceDate) {
+  const cutoff = Date.now() - WORKFLOW_RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  workflowRuns.prune(run => new Date(run.startedAt).getTime() < cutoff);
+
+  const run = {
+    id: crypto.randomUUID(),
+    workspace: workspace.name,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    workflows: workflowConfigs.map(config => ({ workflow: config.name, epicId: config.epicId })),
+    referenceDate: referenceDate.toISOString().split('T')[0],
+    createdPages: [],
+    relationUpdates: [],
+    errors: []
+  };
+
+  workflowRuns.set(run.id, run);
+  return run.id;
+}
+
+// Append a change ('createdPages' or 'relationUpdates') to a run. Saved straight
+// away so a crash mid-run still leaves an undoable record.
+function recordWorkflowRunChange(runId, kind, change) {
+  const run = runId && workflowRuns.get(runId);
+  if (!run) return;
+  run[kind].push(change);
+  workflowRuns.set(runId, run);
+}
+
+function finishWorkflowRun(runId, progress, status = 'completed') {
+  const run = workflowRuns.get(runId);
+  if (!run) return;
+  run.status = status;
+  run.finishedAt = new Date().toISOString();
+  run.errors = progress.errors;
+  workflowRuns.set(runId, run);
+}
+
+// Clear the relations a run set, then archive the pages it created. Changes are
+// marked `undone` as they're rolled back, so retrying only picks up what failed.
+// Returns a report listing anything that couldn't be undone.
+async function undoWorkflowRun(workspace, run) {
+  const report = {
+    runId: run.id,
+    relationsCleared: 0,
+    pagesArchived: 0,
+    failed: []
+  };
+
+  for (const update of run.relationUpdates) {
+    if (update.undone) continue;
+    try {
+      await workspace.notion.pages.update({
+        page_id: update.pageId,
+        properties: Object.fromEntries(update.properties.map(name => [name, { relation: [] }]))
+      });
+      update.undone = true;
+      report.relationsCleared++;
+    } catch (error) {
+      console.error(`❌ Failed to clear relations on ${update.pageId}:`, error.message);
+      report.failed.push({ pageId: update.pageId, action: 'clear-relations', error: error.message });
+    }
+  }
+
+  for (const created of run.createdPages) {
+    if (created.undone) continue;
+    try {
+      await workspace.notion.pages.update({ page_id: created.pageId, archived: true });
+      created.undone = true;
+      report.pagesArchived++;
+    } catch (error) {
+      console.error(`❌ Failed to archive ${created.pageId}:`, error.message);
+      report.failed.push({ pageId: created.pageId, action: 'archive', error: error.message });
+    }
+  }
+
+  return report;
+}
+
+app.get('/workflow-runs/:runId', loadWorkflowRun, requireAdminOrWebhook('workflowCopy'), (req, res) => {
+  res.json(req.run);
+});
+
+// Middleware: load the run and its workspace (whose secret guards the undo and status)
+function loadWorkflowRun(req, res, next) {
+  const run = workflowRuns.get(req.params.runId);
+  if (!run) {
+    return res.status(404).json({ error: `Workflow run not found: ${req.params.runId}` });
+  }
+
+  const workspace = getWorkspace(run.workspace);
+  if (!workspace) {
+    return res.status(409).json({ error: `Workflow run belongs to a workspace that is no longer configured: ${run.workspace}` });
+  }
+
+  req.run = run;
+  req.workspace = workspace;
+  next();
+}
+
+// Roll back a workflow copy run
+app.post('/workflow-runs/:runId/undo', loadWorkflowRun, requireAdminOrWebhook('workflowCopy', 'workflow-runs/undo'), recordRun('workflow-runs/undo'), async (req, res) => {
+  const { run, workspace } = req;
+  recordRunInput({ workflowRunId: run.id });
+
+  if (run.status === 'running' || run.status === 'undoing') {
+    return res.status(409).json({ error: `Workflow run is still ${run.status}, try again when it finishes` });
+  }
+  if (run.status === 'undone') {
+    return res.status(409).json({ error: 'Workflow run was already undone', undo: run.undo });
+  }
+
+  try {
+    console.log(`↩️ Undoing workflow run ${run.id}: ${run.createdPages.length} page(s), ${run.relationUpdates.length} relation update(s)`);
+    workflowRuns.set(run.id, { ...run, status: 'undoing' });
+
+    const report = await undoWorkflowRun(workspace, run);
+
+    // Only mark undone when everything was rolled back, so a retry can pick up the rest
+    workflowRuns.set(run.id, {
+      ...run,
+      status: report.failed.length === 0 ? 'undone' : run.status,
+      undo: { ...report, undoneAt: new Date().toISOString() }
+    });
+
+    console.log(`✅ Undo finished: ${report.pagesArchived} archived, ${report.failed.length} failed`);
+    res.status(200).json({
+      message: report.failed.length === 0 ? 'Workflow run undone' : 'Workflow run partially undone',
+      ...report
+    });
+  } catch (error) {
+    console.error('❌ Undo failed:', error);
+    workflowRuns.set(run.id, run);
+    res.status(500).json({ error: 'Undo failed', details: error.message });
+  }
+});
+
+// ─── Scheduler ──────────────────────────────────────────────────────────────
+// Recurring runs without a Notion button. SCHEDULES (inline JSON) or SCHEDULES_FILE
+// (path to JSON) lists them:
+//
+//   [{ "name": "nightly-promo", "cron": "0 3 * * *", "task": "promo-sync-all",
+//      "workspace": "default", "params": { "upcoming": true } }]
+//
+// Cron expressions have five fields (minute hour day-of-month month day-of-week) in server
+// time, with *, lists, ranges and steps, or @hourly/@daily/@weekly/@monthly. A schedule
+// that's due while its previous run is still going is skipped, not started twice.
+
+const SCHEDULER_TICK_MS = 30 * 1000;
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// What each task runs, and which webhook secret guards triggering it by hand
+const SCHEDULE_TASKS = {
+  'promo-sync': {
+    route: 'promoSends',
+    validate: (params) => params.storyId ? null : 'params.storyId is required',
+    run: (workspace, params) => runPromoSync(workspace, params.storyId, { prune: params.prune === true })
+  },
+  'promo-sync-all': {
+    route: 'promoSends',
+    validate: () => null,
+    run: (workspace, params) => runBulkPromoSync(workspace, {
+      upcoming: params.upcoming === true,
+      projectIds: params.projects || []
+    }, { prune: params.prune === true })
+  },
+  'workflow-copy': {
+    route: 'workflowCopy',
+    validate: (params) => Array.isArray(params.workflows) && params.workflows.every(w => w.type && w.epicId)
+      ? null
+      : 'params.workflows must be a list of { type, epicId }',
+    run: (workspace, params) => processMultipleWorkflows(
+      workspace,
+      params.workflows.map(w => ({ type: w.type, epicId: w.epicId, name: w.name || w.type })),
+      params.targetDate || null,
+      { schedule: params.schedule || WORKFLOW_SCHEDULE_MODE }
+    )
+  }
+};
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+
+    const start = match[1] === '*' ? min : parseInt(match[2], 10);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3], 10) : match[4] ? max : start;
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const fields = (CRON_MACROS[expression] || expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like standard cron: when both day fields are restricted, either one matching is enough
+    anyDayOfMonth: fields[2] === '*',
+    anyDayOfWeek: fields[4] === '*'
+  };
+}
+
+function cronMatchesDay(cron, date) {
+  const dayOfMonth = cron.days.has(date.getDate());
+  const dayOfWeek = cron.weekdays.has(date.getDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+}
+
+// First minute after `after` that matches, or null if none in the next 5 years (e.g. "0 0 31 2 *")
+function getNextCronRun(cron, after) {
+  const next = new Date(after);
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+  const limit = new Date(after).setFullYear(after.getFullYear() + 5);
+
+  while (next.getTime() < limit) {
+    if (!cron.months.has(next.getMonth() + 1) || !cronMatchesDay(cron, next)) {
+      next.setHours(24, 0, 0, 0);
+    } else if (!cron.hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1);
+    } else {
+      return next;
+    }
+  }
+
+  return null;
+}
+
+function createSchedule(config) {
+  if (!config.name || !/^[\w-]+$/.test(config.name)) {
+    throw new Error(`Invalid schedule name "${config.name}": use letters, numbers, - and _`);
+  }
+
+  const task = SCHEDULE_TASKS[config.task];
+  if (!task) {
+    throw new Error(`Schedule "${config.name}" has unknown task "${config.task}": use ${Object.keys(SCHEDULE_TASKS).join(', ')}`);
+  }
+
+  const workspaceName = config.workspace || DEFAULT_WORKSPACE;
+  if (!getWorkspace(workspaceName)) {
+    throw new Error(`Schedule "${config.name}" uses unknown workspace "${workspaceName}"`);
+  }
+
+  const params = config.params || {};
+  const invalidParams = task.validate(params);
+  if (invalidParams) {
+    throw new Error(`Schedule "${config.name}": ${invalidParams}`);
+  }
+
+  let cron;
+  try {
+    cron = parseCron(config.cron || '');
+  } catch (error) {
+    throw new Error(`Schedule "${config.name}": ${error.message}`);
+  }
+
+  return {
+    name: config.name,
+    cronExpression: config.cron,
+    cron,
+    task: config.task,
+    workspace: workspaceName,
+    params,
+    running: false,
+    lastRunAt: null,
+    lastFinishedAt: null,
+    lastStatus: null,
+    lastError: null,
+    lastResult: null,
+    lastNotionCalls: 0,
+    skippedRuns: 0,
+    nextRunAt: getNextCronRun(cron, new Date())
+  };
+}
+
+function loadSchedules() {
+  let configs = [];
+  if (process.env.SCHEDULES_FILE) {
+    configs = JSON.parse(fs.readFileSync(process.env.SCHEDULES_FILE, 'utf8'));
+  } else if (process.env.SCHEDULES) {
+    configs = JSON.parse(process.env.SCHEDULES);
+  }
+
+  const loaded = new Map();
+  for (const config of configs) {
+    if (loaded.has(config.name)) {
+      throw new Error(`Duplicate schedule name "${config.name}"`);
+    }
+    loaded.set(config.name, createSchedule(config));
+  }
+  return loaded;
+}
+
+const schedules = loadSchedules();
+
+// Run a schedule now. Returns false (and counts a skipped run) if it's still running.
+function runSchedule(schedule) {
+  if (schedule.running) {
+    schedule.skippedRuns++;
+    console.log(`⏭️ Schedule ${schedule.name} is still running, skipping this run`);
+    return false;
+  }
+
+  schedule.running = true;
+  schedule.lastRunAt = new Date().toISOString();
+  console.log(`⏰ Running schedule ${schedule.name} (${schedule.task})`);
+
+  // Each run counts its own Notion calls
+  const context = createContext();
+  const task = SCHEDULE_TASKS[schedule.task];
+  const workspace = getWorkspace(schedule.workspace);
+  context.workspace = workspace.name;
+  const eventOptions = { trigger: 'schedule', schedule: schedule.name };
+  context.run = startRun(`schedule/${schedule.task}`, workspace, {
+    trigger: 'schedule',
+    input: { schedule: schedule.name, ...schedule.params }
+  });
+
+  requestContext.run(context, () => task.run(workspace, schedule.params))
+    .then((result) => {
+      schedule.lastStatus = 'completed';
+      schedule.lastError = null;
+      schedule.lastResult = result;
+      finishRun(context.run, context, { status: 'completed', summary: result });
+      console.log(`✅ Schedule ${schedule.name} completed`);
+      publishEvent(`${toEventKind(schedule.task)}.completed`, workspace, {
+        ...(Array.isArray(result) ? { results: result } : result),
+        notionCalls: context.notionCalls,
+        notionRetries: context.notionRetries
+      }, eventOptions);
+    })
+    .catch((error) => {
+      schedule.lastStatus = 'failed';
+      schedule.lastError = error.message;
+      schedule.lastResult = null;
+      finishRun(context.run, context, { status: 'failed', error: { message: 'Scheduled run failed', details: error.message } });
+      console.error(`❌ Schedule ${schedule.name} failed:`, error.message);
+      publishEvent(`${toEventKind(schedule.task)}.failed`, workspace, {
+        error: 'Scheduled run failed',
+        details: error.message
+      }, eventOptions);
+    })
+    .finally(() => {
+      schedule.running = false;
+      schedule.lastFinishedAt = new Date().toISOString();
+      schedule.lastNotionCalls = context.notionCalls;
+    });
+
+  return true;
+}
+
+function runDueSchedules(now = new Date()) {
+  for (const schedule of schedules.values()) {
+    if (!schedule.nextRunAt || schedule.nextRunAt > now) continue;
+    schedule.nextRunAt = getNextCronRun(schedule.cron, now);
+    runSchedule(schedule);
+  }
+}
+
+function startScheduler() {
+  if (schedules.size === 0) return;
+
+  for (const schedule of schedules.values()) {
+    schedule.nextRunAt = getNextCronRun(schedule.cron, new Date());
+  }
+  setInterval(runDueSchedules, SCHEDULER_TICK_MS).unref();
+  console.log(`⏰ Scheduler started with ${schedules.size} schedule(s)`);
+}
+
+function describeSchedule(schedule) {
+  return {
+    name: schedule.name,
+    cron: schedule.cronExpression,
+    task: schedule.task,
+    workspace: schedule.workspace,
+    params: schedule.params,
+    running: schedule.running,
+    lastRunAt: schedule.lastRunAt,
+    lastFinishedAt: schedule.lastFinishedAt,
+    lastStatus: schedule.lastStatus,
+    lastError: schedule.lastError,
+    lastResult: schedule.lastResult,
+    lastNotionCalls: schedule.lastNotionCalls,
+    skippedRuns: schedule.skippedRuns,
+    nextRunAt: schedule.nextRunAt ? schedule.nextRunAt.toISOString() : null
+  };
+}
+
+// Schedules with their last and next run times
+app.get('/schedules', requireAdmin, (req, res) => {
+  res.json({ schedules: [...schedules.values()].map(describeSchedule) });
+});
+
+// Middleware: load the schedule named in the route
+function loadSchedule(req, res, next) {
+  const schedule = schedules.get(req.params.name);
+  if (!schedule) {
+    return res.status(404).json({ error: `Schedule not found: ${req.params.name}` });
+  }
+
+  req.schedule = schedule;
+  next();
+}
+
+// Run a schedule now, outside its timetable (still never alongside a running one)
+app.post('/schedules/:name/run', requireAdmin, loadSchedule, (req, res) => {
+  if (!runSchedule(req.schedule)) {
+    return res.status(409).json({ error: `Schedule ${req.schedule.name} is already running` });
+  }
+  res.status(202).json({ message: 'Schedule run started', statusUrl: '/schedules' });
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'OK', message: 'Server is running' });
+});
+
+// Debug endpoint to see recent logs
+app.get('/debug', requireAdmin, (req, res) => {
+  res.json({
+    message: 'Recent debug messages',
+    timestamp: new Date().toISOString(),
+    apiKey: process.env.NOTION_API_TOKEN || process.env.NOTION_API_KEY ? 'Set' : 'Missing',
+    apiKeyFormat: (() => {
+      const key = process.env.NOTION_API_TOKEN || process.env.NOTION_API_KEY;
+      if (!key) return 'No key';
+      const isSecret = key.startsWith('secret_');
+      const isNtn = key.startsWith('ntn_');
+      return isSecret ? 'secret_ format' : isNtn ? 'ntn_ format' : 'Invalid format';
+    })(),
+    apiKeyLength: (process.env.NOTION_API_TOKEN || process.env.NOTION_API_KEY || '').length,
+    workspaces: [...workspaces.values()].map(w => ({ name: w.name, apiKey: w.token ? 'Set' : 'Missing' })),
+    recentMessages: debugMessages.slice(-10) // Show last 10 messages
+  });
+});
+
+// ─── Promo Sends Endpoint ───────────────────────────────────────────────────
+// Button-triggered bidirectional sync:
+// 1. Reverse sync: push any new channels from Promo Sends DB → Channels DB
+// 2. Forward sync: pull channels from Channels DB → create sends for this story
+
+app.post(['/webhook/promo-sends', '/w/:workspace/webhook/promo-sends'], resolveWorkspace, verifyWebhook('promoSends', 'webhook/promo-sends'), idempotent('promoSends', 'webhook/promo-sends'), recordRun('webhook/promo-sends'), async (req, res) => {
+  try {
+    const { workspace } = req;
+    console.log(`🚀 Received promo-sends webhook (workspace: ${workspace.name})`);
+    console.debug('Request body:', req.body);
+
+    const storyId = req.body.storyId ||
+                    req.body.data?.id ||
+                    req.body.page?.id ||
+                    req.body.pageId ||
+                    req.body.id;
+
+    if (!storyId || typeof storyId !== 'string') {
+      return res.status(400).json({
+        error: 'Missing or invalid storyId',
+        receivedPayload: req.body,
+        suggestion: 'Include storyId in the webhook payload'
+      });
+    }
+
+    if (!workspace.db.promoChannels || !workspace.db.promoSends) {
+      return res.status(500).json({
+        error: `Server misconfigured: workspace "${workspace.name}" needs Promo Channels and Promo Sends DB IDs (PROMO_CHANNELS_DB_ID and PROMO_SENDS_DB_ID for the default workspace)`
+      });
+    }
+
+    const prune = req.query.prune === 'true' || req.body.prune === true;
+    recordRunInput({ storyId, prune });
+    const summary = {
+      ...await runPromoSync(workspace, storyId, { prune }),
+      notionCalls: currentContext().notionCalls,
+      notionRetries: currentContext().notionRetries
+    };
+
+    console.log('✅ Promo sync completed:', summary);
+    publishEvent('promo_sync.completed', workspace, summary);
+    res.status(200).json({ message: 'Promo sync completed', ...summary });
+
+  } catch (error) {
+    console.error('❌ Promo sends error:', error);
+    publishEvent('promo_sync.failed', req.workspace, { error: 'Promo sends failed', details: error.message, code: error.code || null });
+
+    if (error.code === 'unauthorized') {
+      return res.status(401).json({ error: 'Notion API token is invalid or expired' });
+    }
+    if (error.code === 'not_found') {
+      return res.status(404).json({ error: `Page or database not found: ${error.message}` });
+    }
+    if (error.code === 'validation_error') {
+      return res.status(400).json({ error: `Validation error: ${error.message}` });
+    }
+
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Promo sends failed', details: error.message });
+    }
+  }
+});
+
+// Bulk sync: run the promo sync for every story in the Promo Stories DB.
+// Filters (query or body): upcoming=true for events from today on, projects=<id,id>
+// for stories in any of those projects. prune=true prunes each story as well.
+app.post(['/promo-sends/sync-all', '/w/:workspace/promo-sends/sync-all'], resolveWorkspace, verifyWebhook('promoSends', 'promo-sends/sync-all'), recordRun('promo-sends/sync-all'), async (req, res) => {
+  const { workspace } = req;
+
+  if (!workspace.db.promoStories || !workspace.db.promoChannels || !workspace.db.promoSends) {
+    return res.status(500).json({
+      error: `Server misconfigured: workspace "${workspace.name}" needs Promo Stories, Promo Channels and Promo Sends DB IDs (PROMO_STORIES_DB_ID, PROMO_CHANNELS_DB_ID and PROMO_SENDS_DB_ID for the default workspace)`
+    });
+  }
+
+  const projects = req.body.projects || req.query.projects || [];
+  const filters = {
+    upcoming: req.query.upcoming === 'true' || req.body.upcoming === true,
+    projectIds: Array.isArray(projects) ? projects : String(projects).split(',').filter(Boolean)
+  };
+
+  const prune = req.query.prune === 'true' || req.body.prune === true;
+  recordRunInput({ ...filters, prune });
+
+  try {
+    const summary = await runBulkPromoSync(workspace, filters, { prune });
+    const { notionCalls, notionRetries } = currentContext();
+    console.log(`✅ Bulk promo sync: ${summary.storiesSynced}/${summary.storiesMatched} stories synced, ${summary.sendsCreated} send(s) created`);
+    publishEvent('promo_sync_all.completed', workspace, { filters, ...summary, notionCalls, notionRetries });
+    res.status(200).json({ message: 'Bulk promo sync completed', filters, ...summary, notionCalls, notionRetries });
+  } catch (error) {
+    console.error('❌ Bulk promo sync failed:', error);
+    publishEvent('promo_sync_all.failed', workspace, { error: 'Bulk promo sync failed', details: error.message });
+    if (error.code === 'validation_error') {
+      return res.status(400).json({ error: `Validation error: ${error.message}` });
+    }
+    res.status(500).json({ error: 'Bulk promo sync failed', details: error.message });
+  }
+});
+
+// One-time backfill: link existing Promo Sends to their channels by name.
+// Add ?dryRun=true to see what would be linked without writing.
+app.post(['/promo-sends/backfill-channels', '/w/:workspace/promo-sends/backfill-channels'], resolveWorkspace, requireAdmin, recordRun('promo-sends/backfill-channels'), async (req, res) => {
+  const { workspace } = req;
+
+  if (!workspace.db.promoChannels || !workspace.db.promoSends) {
+    return res.status(500).json({
+      error: `Server misconfigured: workspace "${workspace.name}" needs Promo Channels and Promo Sends DB IDs`
+    });
+  }
+
+  try {
+    const dryRun = isDryRun(req);
+    recordRunInput({ dryRun });
+    const report = await backfillSendChannels(workspace, { dryRun });
+    console.log(`🔗 Channel backfill${dryRun ? ' (dry run)' : ''}: ${report.linked} linked, ${report.ambiguous.length} ambiguous, ${report.unmatched.length} unmatched`);
+    res.status(200).json({ message: 'Channel backfill completed', dryRun, ...report });
+  } catch (error) {
+    console.error('❌ Channel backfill failed:', error);
+    res.status(500).json({ error: 'Channel backfill failed', details: error.message });
+  }
+});
+
+// Digest of every unsent send, grouped by channel and by story.
+// ?format=json (default), csv or markdown
+app.get(['/promo-sends/digest', '/w/:workspace/promo-sends/digest'], resolveWorkspace, requireAdminOrWebhook('promoSends'), async (req, res) => {
+  const { workspace } = req;
+
+  if (!workspace.db.promoChannels || !workspace.db.promoSends) {
+    return res.status(500).json({
+      error: `Server misconfigured: workspace "${workspace.name}" needs Promo Channels and Promo Sends DB IDs`
+    });
+  }
+
+  const format = DIGEST_FORMATS[String(req.query.format || 'json').toLowerCase()];
+  if (!format) {
+    return res.status(400).json({ error: `Unknown format "${req.query.format}"`, formats: ['json', 'csv', 'markdown'] });
+  }
+
+  try {
+    const digest = await buildPromoDigest(workspace);
+    console.log(`📊 Promo digest: ${digest.totalUnsent} unsent send(s) across ${digest.byStory.length} story(ies)`);
+
+    if (format === 'csv') {
+      res.attachment(`promo-digest-${digest.today}.csv`);
+      return res.type('text/csv').send(renderDigestCsv(digest));
+    }
+    if (format === 'markdown') {
+      return res.type('text/markdown').send(renderDigestMarkdown(digest));
+    }
+
+    const { rows, ...summary } = digest;
+    res.status(200).json(summary);
+  } catch (error) {
+    console.error('❌ Promo digest failed:', error);
+    res.status(500).json({ error: 'Promo digest failed', details: error.message });
+  }
+});
+
+// ─── Promo Sends Helpers ────────────────────────────────────────────────────
+
+// Forward and reverse promo sync for one story. Pass `storyPage` when the story was
+// already fetched (e.g. by a database query) to skip retrieving it again, and
+// `prune` to archive unsent sends for channels the story's projects no longer have.
+async function runPromoSync(workspace, storyId, { storyPage = null, prune = false } = {}) {
+  setLogFields({ storyId });
+  const story = await getStoryDetails(workspace, storyId, storyPage);
+  console.log(`📁 Story has ${story.projectIds.length} project(s), event date ${story.eventDate || 'not set'}`);
+
+  // ── Step 1: Reverse sync — push new channels from Promo Sends → Channels DB ──
+  const reverseResults = await syncSendsToChannels(workspace, story);
+  console.log(`🔄 Reverse sync: ${reverseResults.created} new channel(s) pushed to Channels DB, ${reverseResults.linked} send(s) linked`);
+  recordRunStep('reverse-sync', { storyId, channelsCreated: reverseResults.created, sendsLinked: reverseResults.linked });
+
+  // ── Step 2: Forward sync — pull channels from Channels DB → Promo Sends ──
+  const { channels, unresolved } = await getChannelsForProjects(workspace, story.projectIds);
+  console.log(`📡 Found ${channels.length} matching channel(s)`);
+
+  // Pruning against a channel set that couldn't be looked up would archive every send
+  if (prune && unresolved) {
+    throw Object.assign(new Error(`Prune aborted, nothing archived: ${unresolved}`), { code: 'validation_error' });
+  }
+
+  // Without the Sent checkbox every send reads as unsent, including ones already sent
+  if (prune && !(await getDatabaseSchema(workspace, workspace.db.promoSends)).includes(PROMO_SEND_SENT_PROPERTY)) {
+    throw Object.assign(
+      new Error(`Prune aborted, nothing archived: the Promo Sends DB has no "${PROMO_SEND_SENT_PROPERTY}" property, so sent sends can't be told apart`),
+      { code: 'validation_error' }
+    );
+  }
+
+  const existingSends = await getExistingSends(workspace, storyId);
+  console.log(`📋 ${existingSends.length} existing send(s) to skip`);
+
+  // Dedupe by linked channel; sends still unlinked (ambiguous names) block by name
+  const linkedChannelIds = new Set(existingSends.map(send => send.channelId).filter(Boolean));
+  const unlinkedSendNames = new Set(existingSends.filter(send => !send.channelId).map(send => send.name));
+
+  const newChannels = channels.filter(ch =>
+    !linkedChannelIds.has(ch.id) && !unlinkedSendNames.has(getChannelName(ch))
+  );
+  console.log(`🆕 ${newChannels.length} new send(s) to create`);
+
+  const forwardResults = await createPromoSends(workspace, story, newChannels);
+  recordRunStep('forward-sync', { storyId, channelsFound: channels.length, sendsCreated: forwardResults.created, sendsFailed: forwardResults.failed });
+  promoSends.inc({ workspace: workspace.name, result: 'created' }, forwardResults.created);
+  promoSends.inc({ workspace: workspace.name, result: 'skipped' }, existingSends.length);
+  promoSends.inc({ workspace: workspace.name, result: 'failed' }, forwardResults.failed);
+
+  // ── Step 3: Move unsent sends to the dates the current event date gives ──
+  const dateResults = story.eventDate
+    ? await updateSendDates(workspace, story, existingSends, channels)
+    : { updated: 0, failed: 0 };
+  recordRunStep('send-dates', { storyId, updated: dateResults.updated, failed: dateResults.failed });
+
+  // ── Step 4 (prune mode): archive sends whose channel left the story's projects ──
+  const pruneResults = prune ? await pruneStaleSends(workspace, existingSends, channels) : null;
+  if (pruneResults) {
+    console.log(`🧹 Pruned ${pruneResults.pruned.length} send(s), kept ${pruneResults.kept.length}`);
+    recordRunStep('prune', { storyId, pruned: pruneResults.pruned.length, kept: pruneResults.kept.length, failed: pruneResults.failed.length });
+  }
+
+  // ── Step 5: Update the sends checklist in the story page ──
+  // A checklist problem shouldn't fail a sync whose sends were written
+  let checklistResults;
+  try {
+    checklistResults = await updatePromoChecklist(workspace, storyId);
+  } catch (error) {
+    console.error(`❌ Failed to update promo checklist for ${storyId}:`, error.message);
+    checklistResults = { error: error.message };
+  }
+  recordRunStep('checklist', { storyId, ...checklistResults });
+
+  return {
+    storyId,
+    channelsPushedToChannelsDB: reverseResults.created,
+    sendsLinkedToChannels: reverseResults.linked,
+    ambiguousSends: reverseResults.ambiguous,
+    channelsFound: channels.length,
+    sendsCreated: forwardResults.created,
+    sendsSkipped: existingSends.length,
+    sendsFailed: forwardResults.failed,
+    sendDatesUpdated: dateResults.updated,
+    sendDateUpdatesFailed: dateResults.failed,
+    // Linked views can't be created through the API; see sendsChecklist instead
+    linkedViewAdded: false,
+    sendsChecklist: checklistResults,
+    ...(pruneResults && {
+      pruned: pruneResults.pruned,
+      kept: pruneResults.kept,
+      pruneFailed: pruneResults.failed
+    })
+  };
+}
+
+// Archive unsent sends whose channel isn't among the story's project channels any more.
+// Sent sends and sends not linked to a channel are kept, with the reason.
+async function pruneStaleSends(workspace, existingSends, channels) {
+  const currentChannelIds = new Set(channels.map(channel => channel.id));
+  const report = { pruned: [], kept: [], failed: [] };
+
+  for (const send of existingSends) {
+    if (send.channelId && currentChannelIds.has(send.channelId)) continue;
+
+    const entry = { sendId: send.id, name: send.name, channelId: send.channelId };
+    if (!send.channelId) {
+      report.kept.push({ ...entry, reason: 'Not linked to a channel' });
+      continue;
+    }
+    if (send.sent) {
+      report.kept.push({ ...entry, reason: 'Already sent' });
+      continue;
+    }
+
+    try {
+      await workspace.notion.pages.update({ page_id: send.id, archived: true });
+      log('info', `🧹 Archived send "${send.name}": channel no longer in the story's projects`, { sendId: send.id, channelId: send.channelId });
+      report.pruned.push(entry);
+    } catch (error) {
+      console.error(`❌ Failed to archive send ${send.id}:`, error.message);
+      report.failed.push({ ...entry, error: error.message });
+    }
+  }
+
+  return report;
+}
+
+const PROJECT_PROPERTY_CANDIDATES = ['🚀 projects', 'Projects', 'Project', '📁 Projects', '📁 Project'];
+
+// Discover the actual projects relation property name for a Notion database
+async function getProjectsPropertyName(workspace, databaseId) {
+  const db = await workspace.notion.databases.retrieve({ database_id: databaseId });
+  for (const candidate of PROJECT_PROPERTY_CANDIDATES) {
+    if (db.properties[candidate]?.type === 'relation') {
+      console.log(`📎 Found projects property "${candidate}" on DB ${databaseId}`);
+      return candidate;
+    }
+  }
+  console.warn(`⚠️ No projects relation found on DB ${databaseId}. Available properties:`,
+    Object.entries(db.properties).map(([k, v]) => `${k} (${v.type})`));
+  return null;
+}
+
+// Fetch story page (unless given): project page IDs from its Projects relation and its event date
+async function getStoryDetails(workspace, storyId, page = null) {
+  page = page || await workspace.notion.pages.retrieve({ page_id: storyId });
+  return { id: storyId, projectIds: getStoryProjectIds(page), eventDate: getStoryEventDate(page) };
+}
+
+function getStoryProjectIds(page) {
+  for (const name of PROJECT_PROPERTY_CANDIDATES) {
+    const prop = page.properties[name];
+    if (prop?.relation && prop.relation.length > 0) {
+      return prop.relation.map(r => r.id);
+    }
+  }
+
+  console.warn('⚠️ No Projects relation found. Available properties:', Object.keys(page.properties));
+  return [];
+}
+
+// Event day (YYYY-MM-DD) of a story, or null if it has no event date
+function getStoryEventDate(page) {
+  for (const name of STORY_EVENT_DATE_CANDIDATES) {
+    const start = page.properties[name]?.date?.start;
+    if (start) return start.slice(0, 10);
+  }
+  return null;
+}
+
+// Query Channels DB for channels whose Projects relation overlaps with given IDs.
+// `unresolved` says why the lookup couldn't run (channels is then empty), else null.
+async function getChannelsForProjects(workspace, projectIds) {
+  if (projectIds.length === 0) {
+    return { channels: [], unresolved: 'the story has no projects' };
+  }
+
+  const channelsProjectsProp = await getProjectsPropertyName(workspace, workspace.db.promoChannels);
+  if (!channelsProjectsProp) {
+    return { channels: [], unresolved: `the Channels DB has no projects relation (${PROJECT_PROPERTY_CANDIDATES.join(', ')})` };
+  }
+
+  const seen = new Set();
+  const channels = [];
+
+  // Notion API doesn't support "relation contains any of [list]",
+  // so query per project and deduplicate
+  for (const projectId of projectIds) {
+    const pages = await collectPaginated(workspace.notion.databases.query, {
+      database_id: workspace.db.promoChannels,
+      filter: {
+        property: channelsProjectsProp,
+        relation: { contains: projectId }
+      }
+    });
+
+    for (const page of pages) {
+      if (!seen.has(page.id)) {
+        seen.add(page.id);
+        channels.push({ id: page.id, properties: page.properties });
+      }
+    }
+  }
+
+  return { channels, unresolved: null };
+}
+
+// Plain text of a page's title property, whatever it's called
+function getPageTitle(page) {
+  return Object.values(page.properties || {}).find(prop => prop.type === 'title' || prop.title)?.title?.[0]?.plain_text || null;
+}
+
+// Get channel name from a channel page object
+function getChannelName(channel) {
+  return channel.properties?.Name?.title?.[0]?.plain_text || 'Unnamed Channel';
+}
+
+// Stories in the Promo Stories DB, optionally only upcoming events (event date today or
+// later) and/or stories in any of `projectIds`
+async function queryPromoStories(workspace, { upcoming = false, projectIds = [] } = {}) {
+  const filters = [];
+
+  if (upcoming || projectIds.length > 0) {
+    const database = await workspace.notion.databases.retrieve({ database_id: workspace.db.promoStories });
+
+    if (upcoming) {
+      const eventDateProp = STORY_EVENT_DATE_CANDIDATES.find(name => database.properties[name]?.type === 'date');
+      if (!eventDateProp) {
+        throw Object.assign(new Error('Promo Stories DB has no event date property to filter upcoming events by'), { code: 'validation_error' });
+      }
+      filters.push({ property: eventDateProp, date: { on_or_after: toDateKey(new Date()) } });
+    }
+
+    if (projectIds.length > 0) {
+      const projectsProp = PROJECT_PROPERTY_CANDIDATES.find(name => database.properties[name]?.type === 'relation');
+      if (!projectsProp) {
+        throw Object.assign(new Error('Promo Stories DB has no projects relation to filter by'), { code: 'validation_error' });
+      }
+      filters.push({ or: projectIds.map(id => ({ property: projectsProp, relation: { contains: id } })) });
+    }
+  }
+
+  return collectPaginated(workspace.notion.databases.query, {
+    database_id: workspace.db.promoStories,
+    ...(filters.length > 0 && { filter: { and: filters } })
+  });
+}
+
+// Run the promo sync for every matching story; one story failing doesn't stop the rest
+async function runBulkPromoSync(workspace, filters = {}, { prune = false } = {}) {
+  const storyPages = await queryPromoStories(workspace, filters);
+  console.log(`📚 Bulk promo sync: ${storyPages.length} story(ies) matched`);
+
+  const stories = [];
+  for (const storyPage of storyPages) {
+    const storyName = getPageTitle(storyPage);
+
+    try {
+      stories.push({ storyName, success: true, ...await runPromoSync(workspace, storyPage.id, { storyPage, prune }) });
+    } catch (error) {
+      console.error(`❌ Promo sync failed for story ${storyPage.id}:`, error.message);
+      stories.push({ storyId: storyPage.id, storyName, success: false, error: error.message });
+    }
+  }
+  setLogFields({ storyId: undefined });
+
+  const total = (key) => stories.reduce((sum, story) => sum + (story[key] || 0), 0);
+  return {
+    storiesMatched: storyPages.length,
+    storiesSynced: stories.filter(story => story.success).length,
+    storiesFailed: stories.filter(story => !story.success).length,
+    channelsPushedToChannelsDB: total('channelsPushedToChannelsDB'),
+    sendsCreated: total('sendsCreated'),
+    sendsFailed: total('sendsFailed'),
+    sendDatesUpdated: total('sendDatesUpdated'),
+    ...(prune && { sendsPruned: stories.reduce((sum, story) => sum + (story.pruned?.length || 0), 0) }),
+    stories
+  };
+}
+
+// Relation from a Promo Send to its Channels DB page
+const PROMO_SEND_CHANNEL_PROPERTY = 'Channel';
+
+// Promo Send page → { id, name, channelId, sent, sendDate } (channelId is null for unlinked sends)
+function toPromoSend(page) {
+  return {
+    id: page.id,
+    name: page.properties?.Name?.title?.[0]?.plain_text || '',
+    channelId: page.properties?.[PROMO_SEND_CHANNEL_PROPERTY]?.relation?.[0]?.id || null,
+    sent: page.properties?.[PROMO_SEND_SENT_PROPERTY]?.checkbox === true,
+    sendDate: page.properties?.[PROMO_SEND_DATE_PROPERTY]?.date || null
+  };
+}
+
+// Query Promo Sends DB for existing sends for a story
+async function getExistingSends(workspace, storyId) {
+  const pages = await collectPaginated(workspace.notion.databases.query, {
+    database_id: workspace.db.promoSends,
+    filter: {
+      property: 'Story',
+      relation: { contains: storyId }
+    }
+  });
+
+  return pages.map(toPromoSend);
+}
+
+// Channel name → IDs of every channel with that name
+async function getChannelIdsByName(workspace) {
+  const channelPages = await collectPaginated(workspace.notion.databases.query, {
+    database_id: workspace.db.promoChannels
+  });
+
+  const channelIdsByName = new Map();
+  for (const page of channelPages) {
+    const name = page.properties?.Name?.title?.[0]?.plain_text || '';
+    if (!name) continue;
+    if (!channelIdsByName.has(name)) channelIdsByName.set(name, []);
+    channelIdsByName.get(name).push(page.id);
+  }
 
-        if (workflowsProp?.multi_select) {
-          selectedWorkflows = workflowsProp.multi_select.map(item => item.name);
-          console.log('🔄 Found selected workflows:', selectedWorkflows);
-        } else if (workflowsProp?.select?.name) {
-          selectedWorkflows = [workflowsProp.select.name];
-          console.log('🔄 Found single workflow:', selectedWorkflows);
-        }
-      }
+  return channelIdsByName;
+}
 
-      // Extract epic relations for each workflow type
-      if (!batchEpicId) {
-        const batchEpicProp = generatorProps['📚 Batch Epic'] ||
-                             generatorProps['Batch Epic'] ||
-                             generatorProps['batchEpic'] ||
-                             generatorProps['Batch'];
+async function linkSendToChannel(workspace, sendId, channelId) {
+  await workspace.notion.pages.update({
+    page_id: sendId,
+    properties: { [PROMO_SEND_CHANNEL_PROPERTY]: { relation: [{ id: channelId }] } }
+  });
+}
 
-        if (batchEpicProp?.relation?.[0]?.id) {
-          batchEpicId = batchEpicProp.relation[0].id;
-        }
-      }
+// Create pages in Promo Sends DB for each channel
+async function createPromoSends(workspace, story, channels) {
+  const { id: storyId, projectIds } = story;
+  let created = 0;
+  let failed = 0;
 
-      if (!skuEpicId) {
-        const skuEpicProp = generatorProps['📚 SKU Epic'] ||
-                           generatorProps['SKU Epic'] ||
-                           generatorProps['skuEpic'] ||
-                           generatorProps['SKU'];
+  if (channels.length === 0) {
+    return { created, failed };
+  }
 
-        if (skuEpicProp?.relation?.[0]?.id) {
-          skuEpicId = skuEpicProp.relation[0].id;
-        }
-      }
+  // Discover the projects property name once for the Sends DB
+  let sendsProjectsProp = null;
+  if (projectIds.length > 0) {
+    sendsProjectsProp = await getProjectsPropertyName(workspace, workspace.db.promoSends);
+  }
 
-      if (!marketEpicId) {
-        const marketEpicProp = generatorProps['📚 Market Epic'] ||
-                              generatorProps['Market Epic'] ||
-                              generatorProps['marketEpic'] ||
-                              generatorProps['Market'];
+  // Send dates need the story's event date and a Send Date property
+  const setSendDates = Boolean(story.eventDate) && await hasSendDateProperty(workspace);
 
-        if (marketEpicProp?.relation?.[0]?.id) {
-          marketEpicId = marketEpicProp.relation[0].id;
+  for (const channel of channels) {
+    try {
+      const channelName = getChannelName(channel);
+      const sendProperties = {
+        Name: {
+          title: [{ text: { content: channelName } }]
+        },
+        Story: {
+          relation: [{ id: storyId }]
+        },
+        [PROMO_SEND_CHANNEL_PROPERTY]: {
+          relation: [{ id: channel.id }]
         }
+      };
+
+      if (sendsProjectsProp && projectIds.length > 0) {
+        sendProperties[sendsProjectsProp] = {
+          relation: projectIds.map(id => ({ id }))
+        };
       }
-    }
 
-    // SECOND: Check headers for epic ID (in case it's sent there)
-    if (!epicId && req.headers.epicid && req.headers.epicid !== '{{page.id}}') {
-      epicId = req.headers.epicid;
-    }
+      const sendDate = setSendDates ? computeSendDate(story.eventDate, channel, workspace.timeZone) : null;
+      if (sendDate) {
+        sendProperties[PROMO_SEND_DATE_PROPERTY] = { date: sendDate };
+      }
 
-    // THIRD: Fallback to the triggering page ID (current page)
-    if (!epicId) {
-      epicId = req.body.data?.id ||  // Notion automation sends page ID here
-               req.body.page?.id ||
-               req.body.pageId ||
-               req.body.id ||
-               req.body.context?.pageId ||
-               req.body.automationContext?.pageId;
+      await workspace.notion.pages.create({
+        parent: { database_id: workspace.db.promoSends },
+        properties: sendProperties
+      });
+      log('info', `✅ Created send: ${channelName}${sendDate ? ` (${sendDate.start})` : ''}`, { channelId: channel.id, sendDate: sendDate?.start || null });
+      created++;
+    } catch (error) {
+      log('error', `❌ Failed to create send for channel ${channel.id}: ${error.message}`, { channelId: channel.id, error: error.message });
+      failed++;
     }
+  }
 
-    console.log(`🎯 Webhook: ${selectedWorkflows.length} workflows, target=${webhookTargetDate || 'none'}, epics=[${[batchEpicId, skuEpicId, marketEpicId].filter(Boolean).join(', ')}]`);
+  return { created, failed };
+}
 
-    // Validate that selected workflows have corresponding epic relations
-    const workflowEpicMap = {
-      'New batch': batchEpicId,
-      'Batch': batchEpicId,
-      'batch': batchEpicId,
-      'New Batch': batchEpicId,
-      'new batch': batchEpicId,
-      'New SKU': skuEpicId,
-      'SKU': skuEpicId,
-      'sku': skuEpicId,
-      'New Market': marketEpicId,
-      'Market': marketEpicId,
-      'market': marketEpicId
-    };
+// Reverse sync: sends in Promo Sends DB for this story without a Channel relation were
+// added by hand. Link each one to the channel with the same name, creating that channel
+// in Channels DB first if there isn't one. Sends whose name matches several channels
+// are left alone and reported as ambiguous.
+async function syncSendsToChannels(workspace, story) {
+  const { id: storyId, projectIds } = story;
+  let created = 0;
+  let linked = 0;
+  const ambiguous = [];
 
-    const missingEpics = [];
-    selectedWorkflows.forEach(workflow => {
-      if (!workflowEpicMap[workflow]) {
-        missingEpics.push(workflow);
-      }
-    });
+  const unlinkedSends = (await getExistingSends(workspace, storyId)).filter(send => !send.channelId && send.name);
+  if (unlinkedSends.length === 0) {
+    return { created, linked, ambiguous };
+  }
 
-    if (missingEpics.length > 0) {
-      console.log('❌ Missing epic relations for workflows:', missingEpics);
-      return res.status(400).json({
-        error: `Missing epic relations for selected workflows: ${missingEpics.join(', ')}`,
-        receivedPayload: req.body,
-        suggestion: 'Please set the corresponding epic relation properties for the selected workflows'
-      });
-    }
+  const channelIdsByName = await getChannelIdsByName(workspace);
 
-    if (selectedWorkflows.length === 0) {
-      console.log('❌ No workflows selected');
-      return res.status(400).json({
-        error: 'No workflows selected. Please select at least one workflow.',
-        receivedPayload: req.body,
-        suggestion: 'Select workflows using the "Workflows" multi-select property'
-      });
+  // Discover the projects property name once for the Channels DB
+  let channelsProjectsProp = null;
+  if (projectIds.length > 0) {
+    channelsProjectsProp = await getProjectsPropertyName(workspace, workspace.db.promoChannels);
+  }
+
+  for (const send of unlinkedSends) {
+    const matches = channelIdsByName.get(send.name) || [];
+    if (matches.length > 1) {
+      console.warn(`⚠️ Send "${send.name}" matches ${matches.length} channels, leaving it unlinked`);
+      ambiguous.push({ sendId: send.id, name: send.name, channelIds: matches });
+      continue;
     }
 
-    // Process multiple workflows
     try {
-      const workflowConfigs = selectedWorkflows.map(workflow => ({
-        type: workflow,
-        epicId: workflowEpicMap[workflow],
-        name: workflow
-      }));
+      let channelId = matches[0];
 
-      console.log('🔄 Processing workflows:', workflowConfigs.map(w => w.name));
+      if (!channelId) {
+        const channelProperties = {
+          Name: {
+            title: [{ text: { content: send.name } }]
+          }
+        };
 
-      const results = await processMultipleWorkflows(workflowConfigs, webhookTargetDate);
+        if (channelsProjectsProp && projectIds.length > 0) {
+          channelProperties[channelsProjectsProp] = {
+            relation: projectIds.map(id => ({ id }))
+          };
+        }
 
-      console.log('✅ Webhook processing completed successfully');
-      res.status(200).json({
-        message: 'Workflow processing completed successfully',
-        results: results
-      });
-    } catch (processingError) {
-      console.error('❌ Workflow processing failed:', processingError);
-      res.status(500).json({
-        error: 'Workflow processing failed',
-        details: processingError.message,
-        workflowType: selectedWorkflows
-      });
-    }
-  } catch (webhookError) {
-    console.error('❌ Webhook processing error:', webhookError);
-    console.error('Error stack:', webhookError.stack);
+        const channel = await workspace.notion.pages.create({
+          parent: { database_id: workspace.db.promoChannels },
+          properties: channelProperties
+        });
+        channelId = channel.id;
+        channelIdsByName.set(send.name, [channelId]);
 
-    // Ensure we always return a proper response
-    if (!res.headersSent) {
-      res.status(400).json({
-        error: 'Webhook processing failed',
-        details: webhookError.message,
-        receivedBody: req.body
-      });
+        console.log(`✅ Pushed new channel to Channels DB: ${send.name}`);
+        created++;
+      }
+
+      await linkSendToChannel(workspace, send.id, channelId);
+      linked++;
+    } catch (error) {
+      console.error(`❌ Failed to sync send "${send.name}" to Channels DB:`, error.message);
     }
   }
-});
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'OK', message: 'Server is running' });
-});
+  return { created, linked, ambiguous };
+}
 
-// Debug endpoint to see recent logs
-app.get('/debug', (req, res) => {
-  res.json({
-    message: 'Recent debug messages',
-    timestamp: new Date().toISOString(),
-    apiKey: process.env.NOTION_API_TOKEN || process.env.NOTION_API_KEY ? 'Set' : 'Missing',
-    apiKeyFormat: (() => {
-      const key = process.env.NOTION_API_TOKEN || process.env.NOTION_API_KEY;
-      if (!key) return 'No key';
-      const isSecret = key.startsWith('secret_');
-      const isNtn = key.startsWith('ntn_');
-      return isSecret ? 'secret_ format' : isNtn ? 'ntn_ format' : 'Invalid format';
-    })(),
-    apiKeyLength: (process.env.NOTION_API_TOKEN || process.env.NOTION_API_KEY || '').length,
-    recentMessages: debugMessages.slice(-10) // Show last 10 messages
+// One-time backfill: link every send in Promo Sends DB that has no Channel relation to
+// the channel with the same name. Sends matching no channel or several are only reported.
+async function backfillSendChannels(workspace, { dryRun = false } = {}) {
+  const sendPages = await collectPaginated(workspace.notion.databases.query, {
+    database_id: workspace.db.promoSends,
+    filter: {
+      property: PROMO_SEND_CHANNEL_PROPERTY,
+      relation: { is_empty: true }
+    }
   });
-});
-
-// ─── Promo Sends Endpoint ───────────────────────────────────────────────────
-// Button-triggered bidirectional sync:
-// 1. Reverse sync: push any new channels from Promo Sends DB → Channels DB
-// 2. Forward sync: pull channels from Channels DB → create sends for this story
+  const channelIdsByName = await getChannelIdsByName(workspace);
 
-app.post('/webhook/promo-sends', async (req, res) => {
-  try {
-    console.log('🚀 Received promo-sends webhook');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
+  const report = { sendsScanned: sendPages.length, linked: 0, ambiguous: [], unmatched: [], failed: [] };
 
-    const storyId = req.body.storyId ||
-                    req.body.data?.id ||
-                    req.body.page?.id ||
-                    req.body.pageId ||
-                    req.body.id;
+  for (const send of sendPages.map(toPromoSend)) {
+    const matches = channelIdsByName.get(send.name) || [];
 
-    if (!storyId || typeof storyId !== 'string') {
-      return res.status(400).json({
-        error: 'Missing or invalid storyId',
-        receivedPayload: req.body,
-        suggestion: 'Include storyId in the webhook payload'
-      });
+    if (matches.length === 0) {
+      report.unmatched.push({ sendId: send.id, name: send.name });
+    } else if (matches.length > 1) {
+      report.ambiguous.push({ sendId: send.id, name: send.name, channelIds: matches });
+    } else if (dryRun) {
+      report.linked++;
+    } else {
+      try {
+        await linkSendToChannel(workspace, send.id, matches[0]);
+        report.linked++;
+      } catch (error) {
+        console.error(`❌ Failed to link send ${send.id} to channel ${matches[0]}:`, error.message);
+        report.failed.push({ sendId: send.id, name: send.name, error: error.message });
+      }
     }
+  }
 
-    if (!PROMO_CHANNELS_DB_ID || !PROMO_SENDS_DB_ID) {
-      return res.status(500).json({
-        error: 'Server misconfigured: PROMO_CHANNELS_DB_ID and PROMO_SENDS_DB_ID must be set'
-      });
-    }
+  return report;
+}
 
-    // ── Step 1: Reverse sync — push new channels from Promo Sends → Channels DB ──
-    const reverseResults = await syncSendsToChannels(storyId);
-    console.log(`🔄 Reverse sync: ${reverseResults.created} new channel(s) pushed to Channels DB`);
+// ─── Promo Sends Checklist ──────────────────────────────────────────────────
+// The Notion API can't create linked database views, let alone filter one to a story,
+// so the story page gets a checklist of its sends instead. The sync owns one callout
+// in the page; repeated runs leave one callout. Its to-dos are matched to sends by
+// their page mention and only the ones that differ are added, updated or removed, so
+// an unchanged story costs no writes and to-dos ticked by hand stay ticked.
 
-    // ── Step 2: Forward sync — pull channels from Channels DB → Promo Sends ──
-    const projectIds = await getStoryProjects(storyId);
-    console.log(`📁 Story has ${projectIds.length} project(s)`);
+const PROMO_CHECKLIST_TEXT = 'Promo Sends — kept in sync automatically, edits here are overwritten';
+const PROMO_CHECKLIST_EMPTY_TEXT = 'No promo sends yet';
 
-    const channels = await getChannelsForProjects(projectIds);
-    console.log(`📡 Found ${channels.length} matching channel(s)`);
+function getRichTextContent(richText = []) {
+  return richText.map(part => part.plain_text ?? part.text?.content ?? '').join('');
+}
 
-    const existingSendNames = await getExistingSends(storyId);
-    console.log(`📋 ${existingSendNames.size} existing send(s) to skip`);
+function isPromoChecklistBlock(block) {
+  return block.type === 'callout' && getRichTextContent(block.callout?.rich_text) === PROMO_CHECKLIST_TEXT;
+}
 
-    const newChannels = channels.filter(ch => {
-      const name = getChannelName(ch);
-      return !existingSendNames.has(name);
-    });
-    console.log(`🆕 ${newChannels.length} new send(s) to create`);
+// Send date suffix of a checklist to-do (" · 2024-05-06"), or '' without a date
+function toChecklistDateText(send) {
+  return send.sendDate?.start ? ` · ${send.sendDate.start.slice(0, 10)}` : '';
+}
 
-    const forwardResults = await createPromoSends(storyId, newChannels, projectIds);
+// One to-do per send: a mention of the send page (so renames show up) and its date
+function toChecklistItem(send) {
+  const richText = [{ type: 'mention', mention: { page: { id: send.id } } }];
+  const dateText = toChecklistDateText(send);
+  if (dateText) {
+    richText.push({ type: 'text', text: { content: dateText } });
+  }
+  return { type: 'to_do', to_do: { rich_text: richText, checked: send.sent } };
+}
 
-    const summary = {
-      storyId,
-      channelsPushedToChannelsDB: reverseResults.created,
-      channelsFound: channels.length,
-      sendsCreated: forwardResults.created,
-      sendsSkipped: existingSendNames.size,
-      sendsFailed: forwardResults.failed
-    };
+// What a block in the checklist stands for: the mentioned send's ID for a to-do,
+// 'empty' for the no-sends note, else null (stray blocks are removed)
+function getChecklistItemKey(block) {
+  if (block.type === 'to_do') return block.to_do?.rich_text?.[0]?.mention?.page?.id || null;
+  if (block.type === 'paragraph' && getRichTextContent(block.paragraph?.rich_text) === PROMO_CHECKLIST_EMPTY_TEXT) return 'empty';
+  return null;
+}
 
-    console.log('✅ Promo sync completed:', summary);
-    res.status(200).json({ message: 'Promo sync completed', ...summary });
+function compareSendsByDate(a, b) {
+  const aDate = a.sendDate?.start || '';
+  const bDate = b.sendDate?.start || '';
+  if (aDate !== bDate) return !aDate ? 1 : !bDate ? -1 : aDate.localeCompare(bDate);
+  return a.name.localeCompare(b.name);
+}
 
-  } catch (error) {
-    console.error('❌ Promo sends error:', error);
+// Create the story's checklist, or bring the existing one in line with its current sends
+async function updatePromoChecklist(workspace, storyId) {
+  const sends = (await getExistingSends(workspace, storyId)).sort(compareSendsByDate);
+  const desired = sends.length > 0
+    ? sends.map(send => ({ key: send.id, send, block: toChecklistItem(send) }))
+    : [{ key: 'empty', block: { type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: PROMO_CHECKLIST_EMPTY_TEXT } }] } } }];
 
-    if (error.code === 'unauthorized') {
-      return res.status(401).json({ error: 'Notion API token is invalid or expired' });
+  const [checklist, ...duplicates] = (await listBlockChildren(workspace, storyId)).filter(isPromoChecklistBlock);
+
+  // Overlapping runs could each have added one; keep the first
+  for (const duplicate of duplicates) {
+    await workspace.notion.blocks.delete({ block_id: duplicate.id });
+  }
+
+  let checklistId = checklist?.id;
+  if (!checklist) {
+    const response = await workspace.notion.blocks.children.append({
+      block_id: storyId,
+      children: [{
+        type: 'callout',
+        callout: {
+          icon: { type: 'emoji', emoji: '📣' },
+          rich_text: [{ type: 'text', text: { content: PROMO_CHECKLIST_TEXT } }]
+        }
+      }]
+    });
+    checklistId = response.results[0].id;
+  }
+
+  const changes = await syncChecklistItems(workspace, checklistId, checklist ? await listBlockChildren(workspace, checklistId) : [], desired);
+
+  console.log(`📝 ${checklist ? 'Synced' : 'Added'} promo checklist with ${sends.length} send(s): ${changes.added} added, ${changes.updated} updated, ${changes.removed} removed`);
+  return { created: !checklist, items: sends.length, ...changes };
+}
+
+// Add, update and remove checklist blocks until they match `desired` ([{ key, send?, block }],
+// in order). New to-dos go in after the one before them; Notion can't insert before the
+// first child, so one that sorts ahead of every existing to-do goes at the end instead.
+// A to-do is only ever ticked here (when its send is marked Sent), never unticked.
+async function syncChecklistItems(workspace, checklistId, existingBlocks, desired) {
+  const changes = { added: 0, updated: 0, removed: 0 };
+  const desiredKeys = new Set(desired.map(item => item.key));
+  const kept = new Map();
+
+  for (const block of existingBlocks) {
+    const key = getChecklistItemKey(block);
+    if (key && desiredKeys.has(key) && !kept.has(key)) {
+      kept.set(key, block);
+      continue;
     }
-    if (error.code === 'not_found') {
-      return res.status(404).json({ error: `Page or database not found: ${error.message}` });
+    await workspace.notion.blocks.delete({ block_id: block.id });
+    changes.removed++;
+  }
+
+  let anchorId = null;
+  let pending = [];
+  let leading = [];
+
+  // Insert the pending blocks after anchorId (or at the end), 100 per call
+  async function flushPending() {
+    for (let i = 0; i < pending.length; i += APPEND_CHUNK_SIZE) {
+      const response = await workspace.notion.blocks.children.append({
+        block_id: checklistId,
+        children: pending.slice(i, i + APPEND_CHUNK_SIZE),
+        ...(anchorId && { after: anchorId })
+      });
+      anchorId = response.results[response.results.length - 1]?.id || anchorId;
+      changes.added += Math.min(APPEND_CHUNK_SIZE, pending.length - i);
     }
-    if (error.code === 'validation_error') {
-      return res.status(400).json({ error: `Validation error: ${error.message}` });
+    pending = [];
+  }
+
+  for (const item of desired) {
+    const block = kept.get(item.key);
+    if (!block) {
+      pending.push(item.block);
+      continue;
+    }
+    if (anchorId) {
+      await flushPending();
+    } else {
+      leading = pending;
+      pending = [];
     }
 
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'Promo sends failed', details: error.message });
+    if (item.send) {
+      const checked = block.to_do.checked || item.send.sent;
+      const dateText = getRichTextContent(block.to_do.rich_text.slice(1));
+      if (checked !== block.to_do.checked || dateText !== toChecklistDateText(item.send)) {
+        await workspace.notion.blocks.update({
+          block_id: block.id,
+          to_do: { rich_text: item.block.to_do.rich_text, checked }
+        });
+        changes.updated++;
+      }
     }
+    anchorId = block.id;
   }
-});
+  await flushPending();
 
-// ─── Promo Sends Helpers ────────────────────────────────────────────────────
+  // To-dos that sort ahead of every kept one
+  anchorId = null;
+  pending = leading;
+  await flushPending();
 
-const PROJECT_PROPERTY_CANDIDATES = ['🚀 projects', 'Projects', 'Project', '📁 Projects', '📁 Project'];
+  return changes;
+}
 
-// Discover the actual projects relation property name for a Notion database
-async function getProjectsPropertyName(databaseId) {
-  const db = await notion.databases.retrieve({ database_id: databaseId });
-  for (const candidate of PROJECT_PROPERTY_CANDIDATES) {
-    if (db.properties[candidate]?.type === 'relation') {
-      console.log(`📎 Found projects property "${candidate}" on DB ${databaseId}`);
-      return candidate;
-    }
+// ─── Promo Digest ───────────────────────────────────────────────────────────
+// Unsent sends across every story, grouped by channel and by story, for the
+// marketing overview. Rendered as JSON, CSV or Markdown.
+
+const DIGEST_FORMATS = { json: 'json', csv: 'csv', markdown: 'markdown', md: 'markdown' };
+
+const DIGEST_CSV_COLUMNS = [
+  ['Story', 'story'],
+  ['Event Date', 'eventDate'],
+  ['Days Remaining', 'daysRemaining'],
+  ['Channel', 'channel'],
+  ['Send', 'send'],
+  ['Send Date', 'sendDate'],
+  ['Send ID', 'sendId']
+];
+
+// Every send in Promo Sends DB not marked Sent, with the story it belongs to
+async function getUnsentSends(workspace) {
+  const pages = await collectPaginated(workspace.notion.databases.query, {
+    database_id: workspace.db.promoSends,
+    filter: { property: PROMO_SEND_SENT_PROPERTY, checkbox: { equals: false } }
+  });
+
+  return pages.map(page => ({ ...toPromoSend(page), storyId: page.properties?.Story?.relation?.[0]?.id || null }));
+}
+
+// Whole days from `today` to `day` (both YYYY-MM-DD); negative once the day has passed
+function daysBetween(today, day) {
+  return Math.round((Date.parse(day) - Date.parse(today)) / DAY_MS);
+}
+
+// Soonest events first; stories without an event date last
+function compareDigestRows(a, b) {
+  if (a.eventDate !== b.eventDate) {
+    return !a.eventDate ? 1 : !b.eventDate ? -1 : a.eventDate.localeCompare(b.eventDate);
   }
-  console.log(`⚠️ No projects relation found on DB ${databaseId}. Available properties:`,
-    Object.entries(db.properties).map(([k, v]) => `${k} (${v.type})`));
-  return null;
+  return (a.story || '').localeCompare(b.story || '') || a.channel.localeCompare(b.channel);
 }
 
-// Fetch story page, return array of project page IDs from its Projects relation
-async function getStoryProjects(storyId) {
-  const page = await notion.pages.retrieve({ page_id: storyId });
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
 
-  for (const name of PROJECT_PROPERTY_CANDIDATES) {
-    const prop = page.properties[name];
-    if (prop?.relation && prop.relation.length > 0) {
-      return prop.relation.map(r => r.id);
+async function buildPromoDigest(workspace, today = toDateKey(new Date())) {
+  const sends = await getUnsentSends(workspace);
+
+  const channelPages = await collectPaginated(workspace.notion.databases.query, {
+    database_id: workspace.db.promoChannels
+  });
+  const channelNames = new Map(channelPages.map(page => [page.id, getChannelName(page)]));
+
+  const stories = new Map();
+  for (const storyId of new Set(sends.map(send => send.storyId).filter(Boolean))) {
+    try {
+      const page = await workspace.notion.pages.retrieve({ page_id: storyId });
+      stories.set(storyId, { name: getPageTitle(page), eventDate: getStoryEventDate(page) });
+    } catch (error) {
+      console.error(`❌ Failed to fetch story ${storyId} for the digest:`, error.message);
     }
   }
 
-  console.log('⚠️ No Projects relation found. Available properties:', Object.keys(page.properties));
-  return [];
+  const rows = sends.map(send => {
+    const story = stories.get(send.storyId) || { name: null, eventDate: null };
+    return {
+      story: story.name,
+      storyId: send.storyId,
+      eventDate: story.eventDate,
+      daysRemaining: story.eventDate ? daysBetween(today, story.eventDate) : null,
+      // Unlinked sends are named after their channel
+      channel: channelNames.get(send.channelId) || send.name,
+      channelId: send.channelId,
+      send: send.name,
+      sendId: send.id,
+      sendDate: send.sendDate?.start || null
+    };
+  }).sort(compareDigestRows);
+
+  const byStory = [...groupBy(rows, row => row.storyId).values()].map(storyRows => {
+    const { story, storyId, eventDate, daysRemaining } = storyRows[0];
+    return { story, storyId, eventDate, daysRemaining, count: storyRows.length, sends: storyRows };
+  });
+
+  const byChannel = [...groupBy(rows, row => row.channelId || row.channel).values()]
+    .map(channelRows => {
+      const { channel, channelId } = channelRows[0];
+      return { channel, channelId, count: channelRows.length, sends: channelRows };
+    })
+    .sort((a, b) => a.channel.localeCompare(b.channel));
+
+  return { today, totalUnsent: rows.length, byChannel, byStory, rows };
 }
 
-// Query Channels DB for channels whose Projects relation overlaps with given IDs
-async function getChannelsForProjects(projectIds) {
-  if (projectIds.length === 0) return [];
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-  const channelsProjectsProp = await getProjectsPropertyName(PROMO_CHANNELS_DB_ID);
-  if (!channelsProjectsProp) return [];
+// One line per unsent send, in digest order
+function renderDigestCsv(digest) {
+  const lines = [DIGEST_CSV_COLUMNS.map(([header]) => header).join(',')];
+  for (const row of digest.rows) {
+    lines.push(DIGEST_CSV_COLUMNS.map(([, key]) => toCsvCell(row[key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
 
-  const seen = new Set();
-  const channels = [];
+function describeDaysRemaining(days) {
+  if (days === null) return 'no event date';
+  if (days === 0) return 'today';
+  if (days > 0) return `in ${days} day${days === 1 ? '' : 's'}`;
+  return `${-days} day${days === -1 ? '' : 's'} ago`;
+}
 
-  // Notion API doesn't support "relation contains any of [list]",
-  // so query per project and deduplicate
-  for (const projectId of projectIds) {
-    const response = await notion.databases.query({
-      database_id: PROMO_CHANNELS_DB_ID,
-      filter: {
-        property: channelsProjectsProp,
-        relation: { contains: projectId }
-      }
-    });
+function renderDigestMarkdown(digest) {
+  const lines = [`# Unsent promo sends — ${digest.today}`, '', `${digest.totalUnsent} unsent send(s).`];
 
-    for (const page of response.results) {
-      if (!seen.has(page.id)) {
-        seen.add(page.id);
-        channels.push({ id: page.id, properties: page.properties });
-      }
+  lines.push('', '## By story');
+  for (const group of digest.byStory) {
+    const event = group.eventDate ? `${group.eventDate}, ${describeDaysRemaining(group.daysRemaining)}` : 'no event date';
+    lines.push('', `### ${group.story || 'Unknown story'} (${event})`, '');
+    for (const row of group.sends) {
+      lines.push(`- [ ] ${row.channel}${row.sendDate ? ` — send ${row.sendDate.slice(0, 10)}` : ''}`);
+    }
+  }
+
+  lines.push('', '## By channel');
+  for (const group of digest.byChannel) {
+    lines.push('', `### ${group.channel} (${group.count})`, '');
+    for (const row of group.sends) {
+      const event = row.eventDate ? `event ${row.eventDate}, ${describeDaysRemaining(row.daysRemaining)}` : 'no event date';
+      lines.push(`- [ ] ${row.story || 'Unknown story'} — ${event}`);
     }
   }
 
-  return channels;
+  return lines.join('\n') + '\n';
 }
 
-// Get channel name from a channel page object
-function getChannelName(channel) {
-  return channel.properties?.Name?.title?.[0]?.plain_text || 'Unnamed Channel';
+// ─── Promo Send Dates ───────────────────────────────────────────────────────
+// Each channel can set a lead time ("Lead Time": a number of days, or text such as
+// "14 days before event", "2 weeks before", "1 day after") and an optional send-time
+// window ("Send Window": "09:00-11:00", "9am", …). A send's date is the story's event
+// date minus the lead time, at the start of the window (in the workspace's timeZone).
+
+const STORY_EVENT_DATE_CANDIDATES = ['Event Date', 'Event date', 'Date', 'Launch Date', 'Go Live'];
+const CHANNEL_LEAD_TIME_CANDIDATES = ['Lead Time', 'Lead time', 'Lead Time (days)'];
+const CHANNEL_SEND_WINDOW_CANDIDATES = ['Send Window', 'Send window', 'Send Time'];
+const PROMO_SEND_DATE_PROPERTY = 'Send Date';
+const PROMO_SEND_SENT_PROPERTY = 'Sent';
+
+// Plain text of a text-like property (rich text, select, formula)
+function getPropertyText(prop) {
+  if (!prop) return '';
+  if (prop.rich_text) return prop.rich_text.map(text => text.plain_text).join('');
+  if (prop.title) return prop.title.map(text => text.plain_text).join('');
+  return prop.select?.name || prop.formula?.string || '';
 }
 
-// Query Promo Sends DB for existing sends for a story, return set of channel names
-async function getExistingSends(storyId) {
-  const existingNames = new Set();
-  let cursor;
+// "14 days before event" → 14, "2 weeks" → 14, "1 day after" → -1; null if unreadable
+function parseLeadTime(text) {
+  const match = /(\d+(?:\.\d+)?)\s*(d|days?|w|weeks?)?\b(.*)/i.exec(text.trim());
+  if (!match) return null;
 
-  do {
-    const response = await notion.databases.query({
-      database_id: PROMO_SENDS_DB_ID,
-      filter: {
-        property: 'Story',
-        relation: { contains: storyId }
-      },
-      ...(cursor && { start_cursor: cursor })
-    });
+  const days = parseFloat(match[1]) * (/^w/i.test(match[2] || '') ? 7 : 1);
+  return /\bafter\b/i.test(match[3]) ? -days : days;
+}
 
-    for (const page of response.results) {
-      const name = page.properties?.Name?.title?.[0]?.plain_text || '';
-      if (name) existingNames.add(name);
-    }
+// Days before the event that a channel sends (0 when it has no lead time)
+function getChannelLeadDays(channel) {
+  for (const name of CHANNEL_LEAD_TIME_CANDIDATES) {
+    const prop = channel.properties?.[name];
+    if (!prop) continue;
 
-    cursor = response.has_more ? response.next_cursor : undefined;
-  } while (cursor);
+    const number = prop.number ?? prop.formula?.number;
+    const days = typeof number === 'number' ? number : parseLeadTime(getPropertyText(prop));
+    if (days !== null) return Math.round(days);
+  }
+  return 0;
+}
 
-  return existingNames;
+// "9", "9:30", "9am", "14:00" → "HH:MM", or null
+function parseTimeOfDay(text) {
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(text.trim());
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10) % (match[3] ? 12 : 24);
+  if (match[3]?.toLowerCase() === 'pm') hours += 12;
+  const minutes = match[2] || '00';
+  if (hours > 23 || parseInt(minutes, 10) > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${minutes}`;
 }
 
-// Create pages in Promo Sends DB for each channel
-async function createPromoSends(storyId, channels, projectIds = []) {
-  let created = 0;
-  let failed = 0;
+// Channel's send window as { start, end } ("HH:MM"; end may be null), or null
+function getChannelSendWindow(channel) {
+  for (const name of CHANNEL_SEND_WINDOW_CANDIDATES) {
+    const text = getPropertyText(channel.properties?.[name]);
+    if (!text) continue;
 
-  // Discover the projects property name once for the Sends DB
-  let sendsProjectsProp = null;
-  if (projectIds.length > 0) {
-    sendsProjectsProp = await getProjectsPropertyName(PROMO_SENDS_DB_ID);
+    const [startText, endText] = text.split(/\s*[-–]\s*/);
+    const start = parseTimeOfDay(startText);
+    if (start) return { start, end: endText ? parseTimeOfDay(endText) : null };
   }
+  return null;
+}
 
-  for (const channel of channels) {
-    try {
-      const channelName = getChannelName(channel);
-      const sendProperties = {
-        Name: {
-          title: [{ text: { content: channelName } }]
-        },
-        Story: {
-          relation: [{ id: storyId }]
-        }
-      };
-
-      if (sendsProjectsProp && projectIds.length > 0) {
-        sendProperties[sendsProjectsProp] = {
-          relation: projectIds.map(id => ({ id }))
-        };
-      }
+// Notion date value for a channel's send, or null without an event date
+function computeSendDate(eventDate, channel, timeZone = null) {
+  if (!eventDate) return null;
 
-      await notion.pages.create({
-        parent: { database_id: PROMO_SENDS_DB_ID },
-        properties: sendProperties
-      });
-      console.log(`✅ Created send: ${channelName}`);
-      created++;
-    } catch (error) {
-      console.error(`❌ Failed to create send for channel ${channel.id}:`, error.message);
-      failed++;
-    }
+  const day = toDateKey(new Date(new Date(eventDate).getTime() - getChannelLeadDays(channel) * DAY_MS));
+  const window = getChannelSendWindow(channel);
+  if (!window) {
+    return { start: day, end: null };
   }
 
-  return { created, failed };
+  return {
+    start: `${day}T${window.start}:00`,
+    end: window.end ? `${day}T${window.end}:00` : null,
+    ...(timeZone && { time_zone: timeZone })
+  };
 }
 
-// Reverse sync: find sends in Promo Sends DB for this story that don't exist
-// in Channels DB and push them there
-async function syncSendsToChannels(storyId) {
-  let created = 0;
+// Whether the Sends DB has the Send Date property (skip dates rather than fail the create)
+async function hasSendDateProperty(workspace) {
+  const schema = await getDatabaseSchema(workspace, workspace.db.promoSends);
+  if (!schema.includes(PROMO_SEND_DATE_PROPERTY)) {
+    console.warn(`⚠️ Promo Sends DB has no "${PROMO_SEND_DATE_PROPERTY}" property, send dates not set`);
+    return false;
+  }
+  return true;
+}
 
-  // Get all send names for this story
-  const existingSendNames = await getExistingSends(storyId);
+// Milliseconds `timeZone` is ahead of UTC at `date`
+function getTimeZoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
 
-  // Get all channel names from Channels DB
-  const channelNames = new Set();
-  let cursor;
-  do {
-    const response = await notion.databases.query({
-      database_id: PROMO_CHANNELS_DB_ID,
-      ...(cursor && { start_cursor: cursor })
-    });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
 
-    for (const page of response.results) {
-      const name = page.properties?.Name?.title?.[0]?.plain_text || '';
-      if (name) channelNames.add(name);
-    }
+// Comparable value of a Notion date string: the day itself for all-day dates, else the
+// instant in ms. Times without an offset are wall-clock times in `timeZone` (UTC if none).
+function toDateInstant(value, timeZone = null) {
+  if (!value) return null;
+  if (value.length === 10) return value;
+  if (/(Z|[+-]\d\d:\d\d)$/.test(value)) return Date.parse(value);
+
+  const asUtc = Date.parse(`${value}Z`);
+  if (!timeZone) return asUtc;
+  const guess = asUtc - getTimeZoneOffsetMs(new Date(asUtc), timeZone);
+  return asUtc - getTimeZoneOffsetMs(new Date(guess), timeZone);
+}
 
-    cursor = response.has_more ? response.next_cursor : undefined;
-  } while (cursor);
+// Whether a send's current date is the one computed for it. Notion returns what was
+// written as "…T09:00:00" as "…T09:00:00.000+00:00", so instants are compared, not strings.
+function isSameSendDate(current, wanted) {
+  return Boolean(current) &&
+    toDateInstant(current.start, current.time_zone) === toDateInstant(wanted.start, wanted.time_zone) &&
+    toDateInstant(current.end, current.time_zone) === toDateInstant(wanted.end, wanted.time_zone);
+}
 
-  // Find sends that aren't in Channels DB
-  const projectIds = await getStoryProjects(storyId);
+// Re-sync: move unsent sends to the date their channel's lead time now gives
+async function updateSendDates(workspace, story, existingSends, channels) {
+  let updated = 0;
+  let failed = 0;
+  const channelsById = new Map(channels.map(channel => [channel.id, channel]));
 
-  // Discover the projects property name once for the Channels DB
-  let channelsProjectsProp = null;
-  if (projectIds.length > 0) {
-    channelsProjectsProp = await getProjectsPropertyName(PROMO_CHANNELS_DB_ID);
+  const moves = [];
+  for (const send of existingSends) {
+    const channel = channelsById.get(send.channelId);
+    if (send.sent || !channel) continue;
+
+    const sendDate = computeSendDate(story.eventDate, channel, workspace.timeZone);
+    if (!isSameSendDate(send.sendDate, sendDate)) moves.push({ send, sendDate });
   }
 
-  for (const sendName of existingSendNames) {
-    if (channelNames.has(sendName)) continue;
-    if (!sendName) continue;
+  if (moves.length === 0 || !await hasSendDateProperty(workspace)) {
+    return { updated, failed };
+  }
 
+  for (const { send, sendDate } of moves) {
     try {
-      const channelProperties = {
-        Name: {
-          title: [{ text: { content: sendName } }]
-        }
-      };
-
-      if (channelsProjectsProp && projectIds.length > 0) {
-        channelProperties[channelsProjectsProp] = {
-          relation: projectIds.map(id => ({ id }))
-        };
-      }
-
-      await notion.pages.create({
-        parent: { database_id: PROMO_CHANNELS_DB_ID },
-        properties: channelProperties
+      await workspace.notion.pages.update({
+        page_id: send.id,
+        properties: { [PROMO_SEND_DATE_PROPERTY]: { date: sendDate } }
       });
-
-      console.log(`✅ Pushed new channel to Channels DB: ${sendName}`);
-      created++;
+      log('info', `📅 Moved send "${send.name}" to ${sendDate.start}`, { sendId: send.id, sendDate: sendDate.start });
+      updated++;
     } catch (error) {
-      console.error(`❌ Failed to push channel "${sendName}" to Channels DB:`, error.message);
+      console.error(`❌ Failed to update send date for ${send.id}:`, error.message);
+      failed++;
     }
   }
 
-  return { created };
+  return { updated, failed };
 }
 
 // Test epic retrieval endpoint
-app.get('/test-epic/:epicId', async (req, res) => {
+app.get(['/test-epic/:epicId', '/w/:workspace/test-epic/:epicId'], requireAdmin, resolveWorkspace, async (req, res) => {
   try {
+    const { workspace } = req;
     const epicId = req.params.epicId;
     console.log(`Testing epic retrieval for ID: ${epicId}`);
 
-    const epicDetails = await getEpicDetails(epicId);
+    const epicDetails = await getEpicDetails(workspace, epicId);
     res.json({
       success: true,
       epicDetails: epicDetails,
@@ -563,37 +3535,24 @@ app.get('/test-epic/:epicId', async (req, res) => {
 });
 
 // Main processing function
-async function processWorkflowCopy(epicId, webhookTargetDate = null, workflowType = null, allEpics = []) {
+// Copy one workflow's templates into the Stories DB. The epic and templates are the
+// ones processMultipleWorkflows already fetched (and indexed) for the run, so the copy
+// works from exactly the template set its dates and dependencies were planned from.
+async function processWorkflowCopy(workspace, epicDetails, workflowPages, referenceDate, workflowType = null, allEpics = [], progress = createWorkflowProgress(), dateOptions = {}) {
   try {
-    // Validate epicId
-    if (!epicId || typeof epicId !== 'string') {
-      throw new Error(`Invalid epic ID: ${epicId}`);
-    }
-
-    // Step 1: Get epic details
-    const epicDetails = await getEpicDetails(epicId);
-    if (!epicDetails) {
-      throw new Error(`Failed to retrieve epic details for ID: ${epicId}`);
-    }
-
-    // Use the reference date passed from processMultipleWorkflows
-    let effectiveTargetDate = webhookTargetDate;
-    if (!effectiveTargetDate) {
-      effectiveTargetDate = epicDetails.fulfillBy || new Date();
-    }
+    // Calculate date translation using the consistent reference date
+    // (or take the dates from the run's dependency schedule)
+    const dateTranslation = dateOptions.schedule
+      ? { offset: 0, schedule: dateOptions.schedule }
+      : calculateDateTranslation(workflowPages, referenceDate, dateOptions.calendar);
 
-    // Step 2: Get workflow pages filtered by workflow type
-    const workflowPages = await getWorkflowPages(workflowType);
-
-    // Step 3: Calculate date translation using the consistent reference date
-    const dateTranslation = calculateDateTranslation(workflowPages, effectiveTargetDate);
-
-    // Step 4: Copy pages to Stories database
-    const copyResult = await copyPagesToStories(workflowPages, epicDetails, dateTranslation, workflowType, allEpics);
+    // Copy pages to Stories database
+    const copyResult = await copyPagesToStories(workspace, workflowPages, epicDetails, dateTranslation, workflowType, allEpics, progress);
 
     // Return detailed result for cross-workflow dependency resolution
     return {
       copiedPages: copyResult.copiedPages.length,
+      contentReport: copyResult.contentReport,
       templateToPageMap: copyResult.templateToPageMap,
       workflowPages: workflowPages
     };
@@ -604,7 +3563,7 @@ async function processWorkflowCopy(epicId, webhookTargetDate = null, workflowTyp
 }
 
 // Get epic details including fulfill by date
-async function getEpicDetails(epicId) {
+async function getEpicDetails(workspace, epicId) {
   try {
     console.log(`🔍 Retrieving epic details for ID: ${epicId}`);
 
@@ -612,7 +3571,7 @@ async function getEpicDetails(epicId) {
       throw new Error(`Invalid epic ID: ${epicId}`);
     }
 
-    const response = await notion.pages.retrieve({ page_id: epicId });
+    const response = await workspace.notion.pages.retrieve({ page_id: epicId });
 
     if (!response || !response.properties) {
       throw new Error('Invalid response from Notion API');
@@ -644,7 +3603,7 @@ async function getEpicDetails(epicId) {
     }
 
     if (!fulfillBy) {
-      console.log('⚠️ No target date property found. Available properties:', Object.keys(response.properties));
+      console.warn('⚠️ No target date property found. Available properties:', Object.keys(response.properties));
     }
 
     // Try different property names for the epic name
@@ -701,11 +3660,11 @@ async function getEpicDetails(epicId) {
 }
 
 // Get all pages from Product Workflows database
-async function getWorkflowPages(workflowType = null) {
+async function getWorkflowPages(workspace, workflowType = null) {
   try {
     // First, get all pages from the database to find relevant ones
     const queryParams = {
-      database_id: PRODUCT_WORKFLOWS_DB_ID,
+      database_id: workspace.db.productWorkflows,
       sorts: [
         {
           property: 'Date',
@@ -725,9 +3684,9 @@ async function getWorkflowPages(workflowType = null) {
       console.log(`🔄 Filtering workflow pages by workflow type: ${workflowType}`);
     }
 
-    const response = await notion.databases.query(queryParams);
+    const pages = await collectPaginated(workspace.notion.databases.query, queryParams);
 
-    let workflowPages = response.results.map(page => ({
+    let workflowPages = pages.map(page => ({
       id: page.id,
       properties: page.properties,
       date: page.properties.Date?.date?.start ? new Date(page.properties.Date.date.start) : null,
@@ -745,7 +3704,7 @@ async function getWorkflowPages(workflowType = null) {
     if (error.code === 'unauthorized') {
       throw new Error('Notion API token is invalid or expired');
     } else if (error.code === 'not_found') {
-      throw new Error(`Database not found. Please check PRODUCT_WORKFLOWS_DB_ID: ${PRODUCT_WORKFLOWS_DB_ID}`);
+      throw new Error(`Database not found. Please check the Product Workflows DB ID for workspace "${workspace.name}": ${workspace.db.productWorkflows}`);
     } else if (error.message && error.message.includes('filter')) {
       throw new Error(`Invalid filter for workflow type: ${workflowType}. Check if 'Workflow' property exists in your database.`);
     }
@@ -755,32 +3714,45 @@ async function getWorkflowPages(workflowType = null) {
 }
 
 // Process multiple workflows sequentially
-async function processMultipleWorkflows(workflowConfigs, targetDate) {
+// Options:
+// - progress: tracker from createWorkflowProgress(), updated as pages are copied
+// - dryRun: read everything but write nothing; returns the plan from previewWorkflowCopy()
+//   instead of per-workflow results
+// - schedule: 'dates' (translate template dates, default) or 'dependencies' (schedule
+//   from the dependency graph; the summary is left on progress.schedule)
+async function processMultipleWorkflows(workspace, workflowConfigs, targetDate, options = {}) {
   console.log(`🚀 Processing ${workflowConfigs.length} workflows`);
 
+  const progress = options.progress || createWorkflowProgress(workflowConfigs.length);
+
   const results = [];
   const allEpics = []; // Collect all epics for target date page
-  const allTemplateToPageMaps = {}; // Collect all template mappings for dependency resolution
+  const allTemplateToPageMaps = {}; // Template page ID → copied page ID, for dependency resolution
   const allWorkflowPages = {}; // Collect all workflow pages for dependency resolution
+  const epicDetailsByWorkflow = {};
 
   // First pass: collect all workflow pages to find reference date
   console.log('📅 Collecting workflow pages to determine reference date...');
   for (const config of workflowConfigs) {
+    setLogFields({ workflow: config.name, epicId: config.epicId });
     try {
       if (!config.epicId) {
         throw new Error(`No epic ID provided for workflow: ${config.name}`);
       }
 
       // Get epic details and add to all epics collection
-      const epicDetails = await getEpicDetails(config.epicId);
+      const epicDetails = await getEpicDetails(workspace, config.epicId);
       allEpics.push({ id: config.epicId, name: epicDetails.name });
+      epicDetailsByWorkflow[config.type] = epicDetails;
 
       // Get workflow pages without processing them yet
-      const workflowPages = await getWorkflowPages(config.type);
+      const workflowPages = await getWorkflowPages(workspace, config.type);
       allWorkflowPages[config.type] = workflowPages;
 
     } catch (error) {
       console.error(`❌ Failed to collect pages for workflow ${config.name}:`, error.message);
+      progress.errors.push({ workflow: config.name, message: error.message });
+      progress.workflowsCompleted++;
       results.push({
         workflow: config.name,
         success: false,
@@ -789,388 +3761,777 @@ async function processMultipleWorkflows(workflowConfigs, targetDate) {
       });
     }
   }
+  setLogFields({ workflow: undefined, epicId: undefined });
 
   // Find reference date across all workflow pages
-  // Priority: 1. Webhook target date, 2. Target date page, 3. Latest date
-  const referenceDate = findReferenceDate(allWorkflowPages, targetDate ? new Date(targetDate) : null);
+  // Priority: 1. Webhook target date, 2. Epic target date, 3. Target date page, 4. Latest date
+  const epicTargetDate = latestEpicTargetDate(Object.values(epicDetailsByWorkflow));
+  const referenceDate = findReferenceDate(allWorkflowPages, targetDate ? new Date(targetDate) : null, epicTargetDate);
   const referenceDateForTranslation = referenceDate || new Date();
 
   console.log(`📅 Reference date for all workflows: ${referenceDateForTranslation.toISOString().split('T')[0]}`);
 
-  // Second pass: process workflows with consistent reference date
-  for (const config of workflowConfigs) {
-    // Skip failed workflows from first pass
-    if (results.some(r => r.workflow === config.name && !r.success)) {
-      continue;
-    }
+  // Templates and their dependencies, shared by scheduling and dependency resolution
+  const templateIndex = await buildTemplateIndex(workspace, allWorkflowPages);
 
-    try {
-      const result = await processWorkflowCopy(config.epicId, referenceDateForTranslation, config.type, allEpics);
-      results.push({
-        workflow: config.name,
-        success: true,
-        pagesCopied: result.pagesCopied || 0,
-        templateToPageMap: result.templateToPageMap,
-        workflowPages: result.workflowPages,
-        epicId: config.epicId
-      });
+  // Working calendar (business-day mode only), loaded once for every workflow in the run
+  const calendar = await loadWorkingCalendar(workspace);
+
+  // Scheduling mode: fails on dependency cycles before anything is written
+  const dateOptions = { calendar };
+  if (options.schedule === 'dependencies') {
+    const { dates, summary } = scheduleFromDependencies(templateIndex, referenceDateForTranslation, calendar);
+    dateOptions.schedule = { dates };
+    progress.schedule = summary;
+  }
+
+  if (options.dryRun) {
+    return previewWorkflowCopy(workspace, workflowConfigs, epicDetailsByWorkflow, allWorkflowPages, templateIndex, referenceDateForTranslation, results, dateOptions, progress.schedule);
+  }
+
+  // Record what this run creates so it can be undone
+  progress.runId = startWorkflowRun(workspace, workflowConfigs, referenceDateForTranslation);
 
-      // Collect template mappings for dependency resolution
-      if (result.templateToPageMap) {
-        Object.assign(allTemplateToPageMaps, result.templateToPageMap);
+  // Always close the record, so a thrown error doesn't leave the run 'running'
+  let finished = false;
+  try {
+    // Second pass: process workflows with consistent reference date
+    for (const config of workflowConfigs) {
+      // Skip failed workflows from first pass
+      if (results.some(r => r.workflow === config.name && !r.success)) {
+        continue;
       }
 
-    } catch (error) {
-      console.error(`❌ Failed to process workflow ${config.name}:`, error.message);
-      results.push({
-        workflow: config.name,
-        success: false,
-        error: error.message,
-        epicId: config.epicId
-      });
+      progress.currentWorkflow = config.name;
+      setLogFields({ workflow: config.name, epicId: config.epicId });
+
+      try {
+        const result = await processWorkflowCopy(workspace, epicDetailsByWorkflow[config.type], allWorkflowPages[config.type], referenceDateForTranslation, config.type, allEpics, progress, dateOptions);
+        results.push({
+          workflow: config.name,
+          success: true,
+          pagesCopied: result.copiedPages || 0,
+          blocksCopied: result.contentReport.blocksCopied,
+          skippedBlocks: result.contentReport.skippedBlocks,
+          failedBlocks: result.contentReport.failedBlocks,
+          templateToPageMap: result.templateToPageMap,
+          workflowPages: result.workflowPages,
+          epicId: config.epicId
+        });
+        recordRunStep('workflow', { workflow: config.name, pagesCopied: result.copiedPages || 0 });
+        workflowPagesCreated.inc({ workspace: workspace.name }, result.copiedPages || 0);
+
+        // Collect template mappings for dependency resolution
+        if (result.templateToPageMap) {
+          Object.assign(allTemplateToPageMaps, result.templateToPageMap);
+        }
+
+      } catch (error) {
+        console.error(`❌ Failed to process workflow ${config.name}:`, error.message);
+        progress.errors.push({ workflow: config.name, message: error.message });
+        recordRunStep('workflow', { workflow: config.name, error: error.message });
+        results.push({
+          workflow: config.name,
+          success: false,
+          error: error.message,
+          epicId: config.epicId
+        });
+      }
+
+      progress.workflowsCompleted++;
     }
+    setLogFields({ workflow: undefined, epicId: undefined });
+
+    // Resolve dependencies across all workflows
+    if (Object.keys(allTemplateToPageMaps).length > 0) {
+      progress.currentWorkflow = null;
+      console.log(`\n🔗 Resolving cross-workflow dependencies for ${Object.keys(allTemplateToPageMaps).length} pages`);
+      await resolveCrossWorkflowDependencies(workspace, allTemplateToPageMaps, templateIndex, progress);
+      recordRunStep('dependencies', { pages: Object.keys(allTemplateToPageMaps).length });
+    }
+
+    const successful = results.filter(r => r.success).length;
+    const total = results.length;
+    console.log(`\n📊 Completed: ${successful}/${total} workflows successful`);
+    finished = true;
+  } finally {
+    finishWorkflowRun(progress.runId, progress, finished ? 'completed' : 'failed');
   }
 
-  // Resolve dependencies across all workflows
-  if (Object.keys(allTemplateToPageMaps).length > 0) {
-    console.log(`\n🔗 Resolving cross-workflow dependencies for ${Object.keys(allTemplateToPageMaps).length} pages`);
-    await resolveCrossWorkflowDependencies(allTemplateToPageMaps, allWorkflowPages);
+  return results;
+}
+
+// Dry run: the stories, dates and dependency links processMultipleWorkflows would create.
+// Template IDs stand in for the IDs of the pages that would be copied.
+async function previewWorkflowCopy(workspace, workflowConfigs, epicDetailsByWorkflow, allWorkflowPages, templateIndex, referenceDate, failures, dateOptions = {}, schedule = null) {
+  const storiesSchema = await getDatabaseSchema(workspace, workspace.db.stories);
+  const templateToTemplateMap = {}; // Template ID → itself, standing in for the copy
+  const workflows = [];
+
+  for (const config of workflowConfigs) {
+    const workflowPages = allWorkflowPages[config.type];
+    const epicDetails = epicDetailsByWorkflow[config.type];
+    if (!workflowPages || !epicDetails) continue; // Failed to collect, reported in failures
+
+    const dateTranslation = dateOptions.schedule
+      ? { offset: 0, schedule: dateOptions.schedule }
+      : calculateDateTranslation(workflowPages, referenceDate, dateOptions.calendar);
+
+    const stories = workflowPages.map(workflowPage => {
+      const { properties, originalTitle } = buildStoryProperties(workflowPage, epicDetails, dateTranslation, storiesSchema);
+
+      templateToTemplateMap[workflowPage.id] = workflowPage.id;
+
+      return {
+        templateId: workflowPage.id,
+        templateName: originalTitle || null,
+        title: properties.Title.title[0].text.content,
+        templateDate: workflowPage.properties.Date?.date || null,
+        date: properties.Date?.date || null
+      };
+    });
+
+    workflows.push({
+      workflow: config.name,
+      epicId: config.epicId,
+      epicName: epicDetails.name,
+      stories
+    });
   }
 
-  const successful = results.filter(r => r.success).length;
-  const total = results.length;
-  console.log(`\n📊 Completed: ${successful}/${total} workflows successful`);
+  const dependencyPlan = await planCrossWorkflowDependencies(workspace, templateToTemplateMap, templateIndex);
+  const dependencies = dependencyPlan.updates.map(update => ({
+    templateId: update.templateId,
+    templateName: update.templateName,
+    blocking: (update.properties.Blocking?.relation || []).map(r => templateIndex.get(r.id).name),
+    blockedBy: (update.properties['Blocked by']?.relation || []).map(r => templateIndex.get(r.id).name)
+  }));
 
-  return results;
+  return {
+    dryRun: true,
+    referenceDate: referenceDate.toISOString().split('T')[0],
+    dateMode: workspace.calendar.mode,
+    workflows,
+    dependencies,
+    unresolvedDependencies: dependencyPlan.unresolved,
+    ...(schedule && { schedule }),
+    failures
+  };
 }
 
-// Resolve dependencies by updating blocking/blocked by properties with correct page IDs
-async function resolveDependencies(templateToPageMap, workflowPages, workflowType) {
+// Title of a template page (Name as title or rich text, or Title)
+function getTemplateName(page) {
+  return page.properties?.Name?.title?.[0]?.plain_text ||
+         page.properties?.Name?.rich_text?.[0]?.plain_text ||
+         page.properties?.Title?.title?.[0]?.plain_text;
+}
 
-  for (const workflowPage of workflowPages) {
-    try {
-      // Get the original template page to check for dependency properties
-      const originalPage = await notion.pages.retrieve({ page_id: workflowPage.id });
+// ─── Template Index ─────────────────────────────────────────────────────────
+// The templates fetched for a run, keyed by template page ID, with their full
+// Blocking/Blocked by relations. Dependency resolution and scheduling read from the
+// index instead of retrieving each template (and each related template) again.
 
-      // Check for dependency properties
-      const blockingProps = ['Blocking', 'Blocks', 'Blocking by'];
-      const blockedByProps = ['Blocked by', 'Blocked', 'Blocked_by'];
+const BLOCKING_PROPERTIES = ['Blocking', 'Blocks', 'Blocking by'];
+const BLOCKED_BY_PROPERTIES = ['Blocked by', 'Blocked', 'Blocked_by'];
 
-      let blockingRelations = [];
-      let blockedByRelations = [];
+// Related page IDs of a relation property. Pages in query results carry at most 25
+// relations per property (has_more: true), so longer ones are read page by page.
+async function getRelationIds(workspace, pageId, property) {
+  if (!property.has_more) {
+    return property.relation.map(relation => relation.id);
+  }
 
-      // Extract blocking dependencies
-      for (const propName of blockingProps) {
-        const prop = originalPage.properties[propName];
-        if (prop?.relation && prop.relation.length > 0) {
-          blockingRelations = blockingRelations.concat(prop.relation);
-        }
-      }
+  const items = await collectPaginated(workspace.notion.pages.properties.retrieve, {
+    page_id: pageId,
+    property_id: property.id
+  });
 
-      // Extract blocked by dependencies
-      for (const propName of blockedByProps) {
-        const prop = originalPage.properties[propName];
-        if (prop?.relation && prop.relation.length > 0) {
-          blockedByRelations = blockedByRelations.concat(prop.relation);
-        }
-      }
+  return items.map(item => item.relation.id);
+}
 
-      // If no dependencies found, skip this page
-      if (blockingRelations.length === 0 && blockedByRelations.length === 0) {
-        continue;
-      }
+// Unique related IDs across the aliases of one dependency property
+async function collectRelationIds(workspace, workflowPage, propertyNames) {
+  const ids = new Set();
+  for (const propertyName of propertyNames) {
+    const property = workflowPage.properties?.[propertyName];
+    if (!property?.relation) continue;
+    for (const id of await getRelationIds(workspace, workflowPage.id, property)) {
+      ids.add(id);
+    }
+  }
+  return [...ids];
+}
 
-      // Get the new page ID for this template
-      const templateName = workflowPage.properties.Name?.title?.[0]?.plain_text ||
-                          workflowPage.properties.Name?.rich_text?.[0]?.plain_text ||
-                          workflowPage.properties.Title?.title?.[0]?.plain_text;
+// Index every template in the run; templates shared by several workflows appear once
+async function buildTemplateIndex(workspace, allWorkflowPages) {
+  const index = new Map();
 
-      if (!templateName || !templateToPageMap[templateName]) {
-        console.log(`⚠️ Could not find mapping for template: ${templateName}`);
+  for (const [workflow, workflowPages] of Object.entries(allWorkflowPages)) {
+    for (const workflowPage of workflowPages || []) {
+      if (index.has(workflowPage.id)) {
+        index.get(workflowPage.id).workflows.push(workflow);
         continue;
       }
 
-      const newPageId = templateToPageMap[templateName];
+      index.set(workflowPage.id, {
+        id: workflowPage.id,
+        name: getTemplateName(workflowPage) || null,
+        page: workflowPage,
+        workflows: [workflow],
+        blocking: await collectRelationIds(workspace, workflowPage, BLOCKING_PROPERTIES),
+        blockedBy: await collectRelationIds(workspace, workflowPage, BLOCKED_BY_PROPERTIES)
+      });
+    }
+  }
 
-      // Prepare updates for blocking and blocked by properties
-      const updates = {};
+  return index;
+}
 
-      // Resolve blocking relations (this page blocks other pages)
-      if (blockingRelations.length > 0) {
-        const resolvedBlockingIds = [];
+// Work out the Blocking/Blocked by updates for copied pages without writing anything.
+// `templateToPageMap` maps template page IDs to the IDs of their copies.
+// Returns { updates: [{ templateId, templateName, pageId, properties }], unresolved: [...] }
+async function planCrossWorkflowDependencies(workspace, templateToPageMap, templateIndex) {
+  const updates = [];
+  const unresolved = [];
+  const outsideNames = new Map(); // Related templates that aren't part of the run
+
+  // Name of a related template; only ones outside the run are fetched, once each
+  const getRelatedName = async (relatedId) => {
+    if (templateIndex.has(relatedId)) {
+      return templateIndex.get(relatedId).name;
+    }
+    if (!outsideNames.has(relatedId)) {
+      try {
+        const relatedPage = await workspace.notion.pages.retrieve({ page_id: relatedId });
+        outsideNames.set(relatedId, getTemplateName(relatedPage) || null);
+      } catch (error) {
+        console.warn(`⚠️ Could not read related template ${relatedId}: ${error.message}`);
+        outsideNames.set(relatedId, null);
+      }
+    }
+    return outsideNames.get(relatedId);
+  };
 
-        for (const relation of blockingRelations) {
-          // Try to find the related page in our template mapping
-          const relatedPage = await notion.pages.retrieve({ page_id: relation.id });
-          const relatedName = relatedPage.properties.Name?.title?.[0]?.plain_text ||
-                             relatedPage.properties.Name?.rich_text?.[0]?.plain_text ||
-                             relatedPage.properties.Title?.title?.[0]?.plain_text;
+  if (templateIndex.size > 0) {
+    console.log(`🔗 Resolving dependencies for ${templateIndex.size} pages`);
+  }
 
-          if (relatedName && templateToPageMap[relatedName]) {
-            resolvedBlockingIds.push({ id: templateToPageMap[relatedName] });
-          }
-        }
+  for (const template of templateIndex.values()) {
+    // If no dependencies found, skip this page
+    if (template.blocking.length === 0 && template.blockedBy.length === 0) {
+      continue;
+    }
+
+    // Get the new page ID for this template
+    const newPageId = templateToPageMap[template.id];
+    if (!newPageId) {
+      console.warn(`⚠️ Could not find mapping for template: ${template.name || template.id}`);
+      unresolved.push({
+        templateId: template.id,
+        templateName: template.name,
+        reason: 'Template has dependencies but no copied page'
+      });
+      continue;
+    }
+
+    // Map each related template to its copied page; returns the resolved relation list
+    const resolveRelations = async (relatedIds, relationName) => {
+      const resolvedIds = [];
 
-        if (resolvedBlockingIds.length > 0) {
-          updates.Blocking = { relation: resolvedBlockingIds };
+      for (const relatedId of relatedIds) {
+        if (templateToPageMap[relatedId]) {
+          resolvedIds.push({ id: templateToPageMap[relatedId] });
+          console.log(`🔗 Resolved ${relationName}: ${template.name} → ${templateIndex.get(relatedId)?.name || relatedId}`);
+        } else {
+          const relatedName = await getRelatedName(relatedId);
+          console.warn(`⚠️ Could not resolve ${relationName} relation for: ${relatedName || relatedId}`);
+          unresolved.push({
+            templateId: template.id,
+            templateName: template.name,
+            relation: relationName,
+            relatedId,
+            relatedName,
+            reason: 'Related template is not part of this run'
+          });
         }
       }
 
-      // Resolve blocked by relations (other pages block this page)
-      if (blockedByRelations.length > 0) {
-        const resolvedBlockedByIds = [];
+      return resolvedIds;
+    };
+
+    const properties = {};
 
-        for (const relation of blockedByRelations) {
-          // Try to find the related page in our template mapping
-          const relatedPage = await notion.pages.retrieve({ page_id: relation.id });
-          const relatedName = relatedPage.properties.Name?.title?.[0]?.plain_text ||
-                             relatedPage.properties.Name?.rich_text?.[0]?.plain_text ||
-                             relatedPage.properties.Title?.title?.[0]?.plain_text;
+    // Resolve blocking relations (this page blocks other pages)
+    const resolvedBlockingIds = await resolveRelations(template.blocking, 'Blocking');
+    if (resolvedBlockingIds.length > 0) {
+      properties.Blocking = { relation: resolvedBlockingIds };
+    }
 
-          if (relatedName && templateToPageMap[relatedName]) {
-            resolvedBlockedByIds.push({ id: templateToPageMap[relatedName] });
-          }
-        }
+    // Resolve blocked by relations (other pages block this page)
+    const resolvedBlockedByIds = await resolveRelations(template.blockedBy, 'Blocked by');
+    if (resolvedBlockedByIds.length > 0) {
+      properties['Blocked by'] = { relation: resolvedBlockedByIds };
+    }
 
-        if (resolvedBlockedByIds.length > 0) {
-          updates['Blocked by'] = { relation: resolvedBlockedByIds };
-        }
-      }
+    if (Object.keys(properties).length > 0) {
+      updates.push({ templateId: template.id, templateName: template.name, pageId: newPageId, properties });
+    }
+  }
+
+  return { updates, unresolved };
+}
+
+// Resolve dependencies across all workflows
+async function resolveCrossWorkflowDependencies(workspace, templateToPageMap, templateIndex, progress = createWorkflowProgress()) {
+  const plan = await planCrossWorkflowDependencies(workspace, templateToPageMap, templateIndex);
+
+  // Update the pages with resolved dependencies
+  for (const update of plan.updates) {
+    try {
+      await workspace.notion.pages.update({
+        page_id: update.pageId,
+        properties: update.properties
+      });
+      recordWorkflowRunChange(progress.runId, 'relationUpdates', {
+        pageId: update.pageId,
+        properties: Object.keys(update.properties)
+      });
+      dependencyResolutions.inc({ workspace: workspace.name, result: 'updated' });
+    } catch (error) {
+      console.error(`❌ Error updating dependencies for page ${update.pageId}:`, error.message);
+      progress.errors.push({ pageId: update.pageId, message: `Dependency update failed: ${error.message}` });
+      dependencyResolutions.inc({ workspace: workspace.name, result: 'failed' });
+    }
+  }
+  dependencyResolutions.inc({ workspace: workspace.name, result: 'unresolved' }, plan.unresolved.length);
 
-      // Update the page with resolved dependencies
-      if (Object.keys(updates).length > 0) {
+  console.log(`🔗 Completed cross-workflow dependency resolution`);
+  return plan;
+}
+
+// ─── Dependency Scheduling ──────────────────────────────────────────────────
+// With schedule=dependencies, story dates come from the Blocking/Blocked by graph
+// instead of the template dates. Each template runs for its Duration (days; falls back
+// to the length of its template date range, then 1 day; 0 makes it a milestone) and
+// starts after everything it's blocked by. Stories are packed backward so the last ones
+// finish on the target date; a forward pass from the earliest start then gives each
+// story's slack, and stories without slack make up the critical path.
+// Day counts are working days when the workspace uses a business-day calendar.
+
+const SCHEDULE_MODES = ['dates', 'dependencies'];
+const WORKFLOW_SCHEDULE_MODE = process.env.WORKFLOW_SCHEDULE_MODE || 'dates';
+const SCHEDULE_DURATION_PROPERTY = process.env.SCHEDULE_DURATION_PROPERTY || 'Duration';
+
+function shiftScheduleDate(date, days, calendar) {
+  return calendar ? addWorkingDays(date, days, calendar) : new Date(date.getTime() + days * DAY_MS);
+}
 
-        await notion.pages.update({
-          page_id: newPageId,
-          properties: updates
-        });
+function countScheduleDays(from, to, calendar) {
+  return calendar ? countWorkingDays(from, to, calendar) : Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
 
-      }
+// Duration in days from the template's Duration property or its date range
+function getTemplateDuration(page, calendar) {
+  const property = page.properties?.[SCHEDULE_DURATION_PROPERTY];
+  const value = property?.number ?? property?.formula?.number;
+  if (typeof value === 'number' && value >= 0) {
+    return Math.ceil(value);
+  }
 
-    } catch (error) {
-      console.error(`❌ Error resolving dependencies for page ${workflowPage.id}:`, error.message);
-      // Continue with other pages even if one fails
+  const range = page.properties?.Date?.date;
+  if (range?.start && range?.end) {
+    const start = new Date(range.start);
+    const end = new Date(range.end);
+    if (end > start) {
+      return calendar
+        ? countWorkingDays(rollToWorkingDay(start, calendar), rollToWorkingDay(end, calendar), calendar) + 1
+        : countScheduleDays(start, end, null) + 1;
     }
   }
 
-  console.log(`🔗 Completed dependency resolution for workflow: ${workflowType}`);
+  return 1;
 }
 
-// Resolve dependencies across all workflows
-async function resolveCrossWorkflowDependencies(allTemplateToPageMaps, allWorkflowPages) {
-  // Combine all workflow pages from different workflows
-  const allPages = [];
-  for (const workflowType in allWorkflowPages) {
-    if (allWorkflowPages[workflowType]) {
-      allPages.push(...allWorkflowPages[workflowType]);
+// One node per template in the run; edges only between templates in the run
+function buildDependencyGraph(templateIndex, calendar) {
+  const nodes = new Map();
+
+  for (const template of templateIndex.values()) {
+    nodes.set(template.id, {
+      id: template.id,
+      name: template.name || template.id,
+      workflow: template.workflows[0],
+      duration: getTemplateDuration(template.page, calendar),
+      predecessors: new Set(),
+      successors: new Set(),
+      template
+    });
+  }
+
+  for (const node of nodes.values()) {
+    for (const id of node.template.blocking) {
+      if (nodes.has(id) && id !== node.id) {
+        node.successors.add(id);
+        nodes.get(id).predecessors.add(node.id);
+      }
+    }
+    for (const id of node.template.blockedBy) {
+      if (nodes.has(id) && id !== node.id) {
+        node.predecessors.add(id);
+        nodes.get(id).successors.add(node.id);
+      }
     }
   }
 
-  if (allPages.length > 0) {
-    console.log(`🔗 Resolving dependencies for ${allPages.length} pages`);
+  return nodes;
+}
+
+// Follow successors among the unsorted nodes until one repeats
+function findDependencyCycle(nodes, unsortedIds) {
+  const path = [];
+  const seenAt = new Map();
+  let id = unsortedIds[0];
+
+  while (!seenAt.has(id)) {
+    seenAt.set(id, path.length);
+    path.push(id);
+    id = [...nodes.get(id).successors].find(next => unsortedIds.includes(next));
   }
 
-  for (const workflowPage of allPages) {
-    try {
-      // Get the original template page to check for dependency properties
-      const originalPage = await notion.pages.retrieve({ page_id: workflowPage.id });
+  return [...path.slice(seenAt.get(id)), id].map(cycleId => nodes.get(cycleId).name);
+}
 
-      // Check for dependency properties
-      const blockingProps = ['Blocking', 'Blocks', 'Blocking by'];
-      const blockedByProps = ['Blocked by', 'Blocked', 'Blocked_by'];
+// Topological order (Kahn); throws a dependency_cycle error if there isn't one
+function sortDependencyGraph(nodes) {
+  const remaining = new Map([...nodes.values()].map(node => [node.id, node.predecessors.size]));
+  const ready = [...remaining.keys()].filter(id => remaining.get(id) === 0);
+  const order = [];
 
-      let blockingRelations = [];
-      let blockedByRelations = [];
+  while (ready.length > 0) {
+    const id = ready.shift();
+    remaining.delete(id);
+    order.push(nodes.get(id));
 
-      // Extract blocking dependencies
-      for (const propName of blockingProps) {
-        const prop = originalPage.properties[propName];
-        if (prop?.relation && prop.relation.length > 0) {
-          blockingRelations = blockingRelations.concat(prop.relation);
-        }
-      }
+    for (const successorId of nodes.get(id).successors) {
+      remaining.set(successorId, remaining.get(successorId) - 1);
+      if (remaining.get(successorId) === 0) ready.push(successorId);
+    }
+  }
 
-      // Extract blocked by dependencies
-      for (const propName of blockedByProps) {
-        const prop = originalPage.properties[propName];
-        if (prop?.relation && prop.relation.length > 0) {
-          blockedByRelations = blockedByRelations.concat(prop.relation);
-        }
-      }
+  if (remaining.size > 0) {
+    const cycle = findDependencyCycle(nodes, [...remaining.keys()]);
+    const error = new Error(`Dependency cycle between templates: ${cycle.join(' → ')}`);
+    error.code = 'dependency_cycle';
+    error.cycle = cycle;
+    throw error;
+  }
 
-      // If no dependencies found, skip this page
-      if (blockingRelations.length === 0 && blockedByRelations.length === 0) {
-        continue;
-      }
+  return order;
+}
 
-      // Get the new page ID for this template
-      const templateName = workflowPage.properties.Name?.title?.[0]?.plain_text ||
-                          workflowPage.properties.Name?.rich_text?.[0]?.plain_text ||
-                          workflowPage.properties.Title?.title?.[0]?.plain_text;
+// Last day of a task that starts on `start` (milestones start and end the same day)
+function getScheduleEnd(start, duration, calendar) {
+  return duration > 0 ? shiftScheduleDate(start, duration - 1, calendar) : start;
+}
 
-      if (!templateName || !allTemplateToPageMaps[templateName]) {
-        console.log(`⚠️ Could not find mapping for template: ${templateName}`);
-        continue;
-      }
+// Schedule every template in the run backward from the target date
+function scheduleFromDependencies(templateIndex, targetDate, calendar = null) {
+  const nodes = buildDependencyGraph(templateIndex, calendar);
+  const order = sortDependencyGraph(nodes);
+
+  let finish = new Date(toDateKey(targetDate));
+  if (calendar) finish = rollToWorkingDay(finish, calendar);
+
+  // Backward pass: latest finish/start that still meets the target date
+  for (const node of [...order].reverse()) {
+    node.latestFinish = finish;
+    for (const successorId of node.successors) {
+      const successor = nodes.get(successorId);
+      const mustFinishBy = successor.duration > 0 ? shiftScheduleDate(successor.latestStart, -1, calendar) : successor.latestStart;
+      if (mustFinishBy < node.latestFinish) node.latestFinish = mustFinishBy;
+    }
+    node.latestStart = node.duration > 0 ? shiftScheduleDate(node.latestFinish, -(node.duration - 1), calendar) : node.latestFinish;
+  }
 
-      const newPageId = allTemplateToPageMaps[templateName];
+  // Forward pass from the earliest start: earliest start/finish, then slack
+  const projectStart = order.reduce((earliest, node) => node.latestStart < earliest ? node.latestStart : earliest, finish);
+  for (const node of order) {
+    node.earliestStart = projectStart;
+    for (const predecessorId of node.predecessors) {
+      const predecessor = nodes.get(predecessorId);
+      const canStartOn = node.duration > 0 ? shiftScheduleDate(predecessor.earliestFinish, 1, calendar) : predecessor.earliestFinish;
+      if (canStartOn > node.earliestStart) node.earliestStart = canStartOn;
+    }
+    node.earliestFinish = getScheduleEnd(node.earliestStart, node.duration, calendar);
+    node.slack = countScheduleDays(node.earliestStart, node.latestStart, calendar);
+  }
 
-      // Prepare updates for blocking and blocked by properties
-      const updates = {};
+  const dates = {};
+  const stories = order.map(node => {
+    const start = toDateKey(node.latestStart);
+    const end = toDateKey(node.latestFinish);
+    dates[node.id] = { start, end: end === start ? null : end };
 
-      // Resolve blocking relations (this page blocks other pages)
-      if (blockingRelations.length > 0) {
-        const resolvedBlockingIds = [];
+    return {
+      templateId: node.id,
+      templateName: node.name,
+      workflow: node.workflow,
+      duration: node.duration,
+      start,
+      end,
+      slack: node.slack,
+      critical: node.slack === 0
+    };
+  });
 
-        for (const relation of blockingRelations) {
-          // Try to find the related page in our template mapping
-          const relatedPage = await notion.pages.retrieve({ page_id: relation.id });
-          const relatedName = relatedPage.properties.Name?.title?.[0]?.plain_text ||
-                             relatedPage.properties.Name?.rich_text?.[0]?.plain_text ||
-                             relatedPage.properties.Title?.title?.[0]?.plain_text;
+  const criticalPath = stories.filter(story => story.critical).map(story => story.templateName);
+  console.log(`🗓️ Scheduled ${stories.length} stories back from ${toDateKey(finish)}, critical path: ${criticalPath.join(' → ') || 'none'}`);
 
-          if (relatedName && allTemplateToPageMaps[relatedName]) {
-            resolvedBlockingIds.push({ id: allTemplateToPageMaps[relatedName] });
-            console.log(`🔗 Resolved blocking: ${templateName} → ${relatedName}`);
-          } else {
-            console.log(`⚠️ Could not resolve blocking relation for: ${relatedName || relation.id}`);
-          }
-        }
+  return {
+    dates,
+    summary: { targetDate: toDateKey(finish), start: toDateKey(projectStart), criticalPath, stories }
+  };
+}
 
-        if (resolvedBlockingIds.length > 0) {
-          updates.Blocking = { relation: resolvedBlockingIds };
-        }
-      }
+// ─── Page Content Copy ──────────────────────────────────────────────────────
+// Recreates a template page's blocks on a new page, level by level:
+// - every level of children is paged through, not just the first 100 blocks
+// - children are appended under the block they came from, so toggles, columns
+//   and nested lists keep their structure
+// - appends are chunked to Notion's 100-children-per-request limit
+// - blocks the API can't create are skipped and reported
+//
+// column_list and table blocks must be created together with their columns/rows,
+// so those children are sent inline with the parent.
+
+const APPEND_CHUNK_SIZE = 100;
+
+// Block types the API can't create (or that shouldn't be duplicated)
+const UNCOPYABLE_BLOCK_REASONS = {
+  child_database: 'Inline databases can\'t be copied through the API',
+  child_page: 'Sub-pages can\'t be copied through the API',
+  link_preview: 'Link previews can\'t be created through the API',
+  template: 'Template buttons can\'t be created through the API',
+  unsupported: 'Block type is not supported by the API'
+};
+
+// Media blocks; only externally hosted ones can be recreated
+const MEDIA_BLOCK_TYPES = new Set(['image', 'file', 'pdf', 'video', 'audio']);
+
+// Block types created together with their children
+const INLINE_CHILDREN_BLOCK_TYPES = new Set(['column_list', 'table']);
+
+// All children of a block or page
+async function listBlockChildren(workspace, blockId) {
+  return collectPaginated(workspace.notion.blocks.children.list, { block_id: blockId });
+}
 
-      // Resolve blocked by relations (other pages block this page)
-      if (blockedByRelations.length > 0) {
-        const resolvedBlockedByIds = [];
+// Why a block can't be copied, or null if it can
+function getUncopyableReason(block) {
+  if (UNCOPYABLE_BLOCK_REASONS[block.type]) {
+    return UNCOPYABLE_BLOCK_REASONS[block.type];
+  }
+  if (MEDIA_BLOCK_TYPES.has(block.type) && block[block.type]?.type === 'file') {
+    return 'Uploaded files can\'t be re-attached through the API';
+  }
+  if (block.type === 'synced_block' && !block.synced_block?.synced_from) {
+    return 'Original synced blocks can\'t be recreated through the API';
+  }
+  return null;
+}
 
-        for (const relation of blockedByRelations) {
-          // Try to find the related page in our template mapping
-          const relatedPage = await notion.pages.retrieve({ page_id: relation.id });
-          const relatedName = relatedPage.properties.Name?.title?.[0]?.plain_text ||
-                             relatedPage.properties.Name?.rich_text?.[0]?.plain_text ||
-                             relatedPage.properties.Title?.title?.[0]?.plain_text;
+// Drop uncopyable blocks, recording them in the report
+function filterCopyableBlocks(blocks, report) {
+  return blocks.filter(block => {
+    const reason = getUncopyableReason(block);
+    if (reason) {
+      report.skipped.push({ blockId: block.id, type: block.type, reason });
+    }
+    return !reason;
+  });
+}
 
-          if (relatedName && allTemplateToPageMaps[relatedName]) {
-            resolvedBlockedByIds.push({ id: allTemplateToPageMaps[relatedName] });
-            console.log(`🔗 Resolved blocked by: ${relatedName} → ${templateName}`);
-          } else {
-            console.log(`⚠️ Could not resolve blocked by relation for: ${relatedName || relation.id}`);
-          }
-        }
+// Synced block references show their original's children; those aren't copied
+function hasCopyableChildren(block) {
+  return block.has_children && block.type !== 'synced_block';
+}
 
-        if (resolvedBlockedByIds.length > 0) {
-          updates['Blocked by'] = { relation: resolvedBlockedByIds };
-        }
-      }
+// Block payload for blocks.children.append: just the type and its content
+function toAppendableBlock(block) {
+  const { children, ...content } = block[block.type] || {};
+  return { object: 'block', type: block.type, [block.type]: content };
+}
 
-      // Update the page with resolved dependencies
-      if (Object.keys(updates).length > 0) {
+// Build a column_list or table with its columns/rows inline. Returns the payload
+// plus the children that still have to be copied once it exists.
+async function buildInlineChildrenBlock(workspace, block, report) {
+  const payload = toAppendableBlock(block);
 
-        await notion.pages.update({
-          page_id: newPageId,
-          properties: updates
-        });
+  if (block.type === 'table') {
+    const rows = await listBlockChildren(workspace, block.id);
+    payload.table.children = rows.slice(0, APPEND_CHUNK_SIZE).map(toAppendableBlock);
+    return { payload, remaining: [{ sourceBlocks: rows.slice(APPEND_CHUNK_SIZE), path: [] }] };
+  }
 
+  // column_list: each column needs at least one child when it's created
+  const columns = filterCopyableBlocks(await listBlockChildren(workspace, block.id), report);
+  const remaining = [];
+
+  payload.column_list.children = [];
+  for (const [index, column] of columns.entries()) {
+    const columnChildren = filterCopyableBlocks(await listBlockChildren(workspace, column.id), report);
+
+    // Inline up to the first block that needs its own inline children (a table
+    // would be one level too deep); the rest is appended once the column exists
+    const firstNested = columnChildren.findIndex(block => INLINE_CHILDREN_BLOCK_TYPES.has(block.type));
+    const inlineCount = Math.min(firstNested === -1 ? columnChildren.length : firstNested, APPEND_CHUNK_SIZE);
+    const inline = columnChildren.slice(0, inlineCount);
+    const columnPayload = toAppendableBlock(column);
+
+    payload.column_list.children.push({
+      ...columnPayload,
+      column: {
+        ...columnPayload.column,
+        children: inline.length > 0
+          ? inline.map(toAppendableBlock)
+          : [{ object: 'block', type: 'paragraph', paragraph: { rich_text: [] } }]
       }
+    });
 
-    } catch (error) {
-      console.error(`❌ Error resolving cross-workflow dependencies for page ${workflowPage.id}:`, error.message);
-      // Continue with other pages even if one fails
-    }
+    remaining.push({ sourceBlocks: columnChildren.slice(inlineCount), path: [index] });
+    // Inline children were created without their own children; copy those afterwards
+    remaining.push({ nestedSources: inline, path: [index] });
   }
 
-  console.log(`🔗 Completed cross-workflow dependency resolution`);
+  return { payload, remaining };
 }
 
-// Copy page content (blocks) from source page to destination page
-async function copyPageContent(sourcePageId, destinationPageId) {
-  try {
-    console.log(`📄 Getting blocks from source page: ${sourcePageId}`);
+// Finish copying a column_list/table once it exists on the destination
+async function copyInlineRemainder(workspace, createdBlockId, remaining, report) {
+  const createdChildren = await listBlockChildren(workspace, createdBlockId);
 
-    // Get all blocks from the source page
-    const blocksResponse = await notion.blocks.children.list({
-      block_id: sourcePageId,
-      page_size: 100
-    });
+  for (const item of remaining) {
+    const destinationId = item.path.length > 0 ? createdChildren[item.path[0]]?.id : createdBlockId;
+    if (!destinationId) continue;
 
-    if (!blocksResponse.results || blocksResponse.results.length === 0) {
-      return;
+    if (item.sourceBlocks?.length > 0) {
+      await appendBlocks(workspace, item.sourceBlocks, destinationId, report);
     }
 
-    // Prepare blocks for appending (remove properties that can't be copied)
-    const blocksToAppend = blocksResponse.results.map(block => {
-      const { id, created_time, last_edited_time, created_by, last_edited_by, ...cleanBlock } = block;
-      return cleanBlock;
-    });
+    if (item.nestedSources?.some(hasCopyableChildren)) {
+      const createdNested = await listBlockChildren(workspace, destinationId);
+      for (const [index, source] of item.nestedSources.entries()) {
+        if (hasCopyableChildren(source) && createdNested[index]) {
+          await copyBlockChildren(workspace, source.id, createdNested[index].id, report);
+        }
+      }
+    }
+  }
+}
 
-    if (blocksToAppend.length > 0) {
-      // Append blocks to the destination page
-      await notion.blocks.children.append({
-        block_id: destinationPageId,
-        children: blocksToAppend
-      });
+// Append source blocks under a destination block, then copy their children.
+// Nested content is copied per parent block, so a failure there only affects that
+// block's children: the parent itself was written and still counts as copied.
+async function appendBlocks(workspace, sourceBlocks, destinationBlockId, report) {
+  for (let i = 0; i < sourceBlocks.length; i += APPEND_CHUNK_SIZE) {
+    const chunk = sourceBlocks.slice(i, i + APPEND_CHUNK_SIZE);
+    const appended = await appendChunk(workspace, chunk, destinationBlockId, report);
 
-      // Recursively copy child blocks for blocks that have children
-      for (const block of blocksResponse.results) {
-        if (block.has_children && block.id) {
-          await copyChildBlocks(block.id, destinationPageId, blocksToAppend);
+    for (const { source, created, inlineRemainder } of appended) {
+      try {
+        if (inlineRemainder) {
+          await copyInlineRemainder(workspace, created.id, inlineRemainder, report);
+        } else if (hasCopyableChildren(source)) {
+          await copyBlockChildren(workspace, source.id, created.id, report);
         }
+      } catch (error) {
+        console.error(`❌ Failed to copy the children of block ${source.id}:`, error.message);
+        report.failed.push({ blockIds: [source.id], destinationBlockId: created.id, error: `Children not copied: ${error.message}` });
       }
     }
-
-  } catch (error) {
-    console.error(`❌ Error copying page content:`, error.message);
-    throw error;
   }
 }
 
-// Recursively copy child blocks
-async function copyChildBlocks(sourceBlockId, destinationPageId, parentBlocks) {
-  try {
-    const childBlocksResponse = await notion.blocks.children.list({
-      block_id: sourceBlockId,
-      page_size: 100
+// Append up to APPEND_CHUNK_SIZE blocks in one call. When Notion rejects the chunk as
+// invalid, the blocks are appended one at a time so a bad block doesn't fail its siblings
+// (other errors aren't split: the chunk may have been written). Returns the written
+// blocks as [{ source, created, inlineRemainder }].
+async function appendChunk(workspace, chunk, destinationBlockId, report) {
+  const entries = [];
+  for (const block of chunk) {
+    try {
+      if (INLINE_CHILDREN_BLOCK_TYPES.has(block.type)) {
+        const { payload, remaining } = await buildInlineChildrenBlock(workspace, block, report);
+        entries.push({ source: block, payload, inlineRemainder: remaining });
+      } else {
+        entries.push({ source: block, payload: toAppendableBlock(block), inlineRemainder: null });
+      }
+    } catch (error) {
+      console.error(`❌ Failed to prepare block ${block.id}:`, error.message);
+      report.failed.push({ blockIds: [block.id], destinationBlockId, error: error.message });
+    }
+  }
+  if (entries.length === 0) return [];
+
+  const append = async (batch) => {
+    const response = await workspace.notion.blocks.children.append({
+      block_id: destinationBlockId,
+      children: batch.map(entry => entry.payload)
     });
+    report.blocksCopied += batch.length;
+    // Results are the newly created blocks, in the order they were sent
+    return batch
+      .map((entry, index) => ({ ...entry, created: response.results[index] }))
+      .filter(entry => entry.created);
+  };
 
-    if (!childBlocksResponse.results || childBlocksResponse.results.length === 0) {
-      return;
+  try {
+    return await append(entries);
+  } catch (error) {
+    if (error.code !== 'validation_error' || entries.length === 1) {
+      console.error(`❌ Failed to append ${entries.length} block(s) to ${destinationBlockId}:`, error.message);
+      report.failed.push({ blockIds: entries.map(entry => entry.source.id), destinationBlockId, error: error.message });
+      return [];
     }
+    console.warn(`⚠️ Notion rejected ${entries.length} block(s) for ${destinationBlockId} (${error.message}), appending them one at a time`);
+  }
 
-    // Find the corresponding block in the destination page
-    const destinationBlocksResponse = await notion.blocks.children.list({
-      block_id: destinationPageId,
-      page_size: 100
-    });
+  const appended = [];
+  for (const entry of entries) {
+    try {
+      appended.push(...await append([entry]));
+    } catch (error) {
+      console.error(`❌ Failed to append block ${entry.source.id} to ${destinationBlockId}:`, error.message);
+      report.failed.push({ blockIds: [entry.source.id], destinationBlockId, error: error.message });
+    }
+  }
+  return appended;
+}
 
-    // For simplicity, we'll append child blocks to the last block of the same type
-    // This is a simplified approach - in a production system you'd want to match blocks more precisely
-    if (destinationBlocksResponse.results && destinationBlocksResponse.results.length > 0) {
-      const lastBlock = destinationBlocksResponse.results[destinationBlocksResponse.results.length - 1];
+// Copy all children of a source block (or page) under a destination block (or page)
+async function copyBlockChildren(workspace, sourceBlockId, destinationBlockId, report) {
+  const sourceBlocks = filterCopyableBlocks(await listBlockChildren(workspace, sourceBlockId), report);
+  await appendBlocks(workspace, sourceBlocks, destinationBlockId, report);
+}
 
-      if (lastBlock.has_children || lastBlock.type === 'column_list' || lastBlock.type === 'column') {
-        const childBlocksToAppend = childBlocksResponse.results.map(block => {
-          const { id, created_time, last_edited_time, created_by, last_edited_by, ...cleanBlock } = block;
-          return cleanBlock;
-        });
+// Copy page content (blocks) from source page to destination page.
+// Returns { blocksCopied, skipped, failed }.
+async function copyPageContent(workspace, sourcePageId, destinationPageId) {
+  console.log(`📄 Copying blocks from source page: ${sourcePageId}`);
 
-        await notion.blocks.children.append({
-          block_id: lastBlock.id,
-          children: childBlocksToAppend
-        });
-      }
-    }
+  const report = { blocksCopied: 0, skipped: [], failed: [] };
+  await copyBlockChildren(workspace, sourcePageId, destinationPageId, report);
 
-  } catch (error) {
-    console.error(`❌ Error copying child blocks:`, error.message);
-    // Continue even if child block copying fails
+  if (report.skipped.length > 0 || report.failed.length > 0) {
+    console.warn(`⚠️ Page ${sourcePageId}: ${report.skipped.length} block(s) skipped, ${report.failed.length} append(s) failed`);
   }
+
+  return report;
 }
 
-// Calculate date translation to maintain relational distance
-function calculateDateTranslation(workflowPages, referenceDate) {
+// Calculate date translation to maintain relational distance.
+// With a working calendar, the distance is counted in working days instead of milliseconds.
+function calculateDateTranslation(workflowPages, referenceDate, calendar = null) {
   if (!referenceDate || workflowPages.length === 0) {
     return { offset: 0 };
   }
@@ -1189,18 +4550,60 @@ function calculateDateTranslation(workflowPages, referenceDate) {
   // Calculate offset to align latest workflow date with reference date
   const offset = referenceDate.getTime() - latestWorkflowDate.getTime();
 
+  if (calendar) {
+    const workingDays = countWorkingDays(
+      rollToWorkingDay(latestWorkflowDate, calendar),
+      rollToWorkingDay(referenceDate, calendar),
+      calendar
+    );
+    return { offset, workingDays, calendar };
+  }
+
   return { offset };
 }
 
+// Translate one template date (working-day translations land on a working day)
+function translateDate(date, dateTranslation) {
+  const { calendar } = dateTranslation;
+  if (!calendar) {
+    return new Date(date.getTime() + dateTranslation.offset);
+  }
+  return addWorkingDays(rollToWorkingDay(date, calendar), dateTranslation.workingDays || 0, calendar);
+}
+
+// End of a translated range: same length in days, or in working days with a calendar
+function translateRangeEnd(translatedStart, startDate, endDate, dateTranslation) {
+  const { calendar } = dateTranslation;
+  if (!calendar) {
+    return new Date(translatedStart.getTime() + (endDate.getTime() - startDate.getTime()));
+  }
+  const workingDuration = countWorkingDays(rollToWorkingDay(startDate, calendar), rollToWorkingDay(endDate, calendar), calendar);
+  return addWorkingDays(translatedStart, workingDuration, calendar);
+}
+
+// Latest target date ("Target date", "Fulfill By", …) among the run's epics, or null
+function latestEpicTargetDate(epics) {
+  const dates = epics.map(epic => epic.fulfillBy).filter(date => date && !Number.isNaN(date.getTime()));
+  if (dates.length === 0) return null;
+  return dates.reduce((latest, date) => date > latest ? date : latest);
+}
+
 // Find reference date across all workflow pages
-// Priority: 1. Webhook target date, 2. Target date page if exists, 3. Latest date across all pages
-function findReferenceDate(allWorkflowPages, webhookTargetDate) {
+// Priority: 1. Webhook target date, 2. Epic target date, 3. Target date page if exists,
+// 4. Latest date across all pages
+function findReferenceDate(allWorkflowPages, webhookTargetDate, epicTargetDate = null) {
   // First priority: Use webhook target date if provided
   if (webhookTargetDate) {
     console.log(`📅 Using webhook target date as reference: ${webhookTargetDate.toISOString().split('T')[0]}`);
     return webhookTargetDate;
   }
 
+  // Second priority: the target date set on the epic(s)
+  if (epicTargetDate) {
+    console.log(`📅 Using epic target date as reference: ${epicTargetDate.toISOString().split('T')[0]}`);
+    return epicTargetDate;
+  }
+
   // Flatten all workflow pages into a single array
   const allPages = [];
   for (const workflowType in allWorkflowPages) {
@@ -1214,7 +4617,7 @@ function findReferenceDate(allWorkflowPages, webhookTargetDate) {
     return null;
   }
 
-  // Second priority: check if there's a "Target date" page
+  // Third priority: check if there's a "Target date" page
   const targetDatePage = allPages.find(page =>
     page.properties?.Name?.title?.[0]?.plain_text?.toLowerCase().includes('target date') ||
     page.properties?.Name?.rich_text?.[0]?.plain_text?.toLowerCase().includes('target date') ||
@@ -1226,7 +4629,7 @@ function findReferenceDate(allWorkflowPages, webhookTargetDate) {
     return targetDatePage.date;
   }
 
-  // Third priority: find the latest date across all pages
+  // Fourth priority: find the latest date across all pages
   const pagesWithDates = allPages.filter(page => page.date);
   if (pagesWithDates.length === 0) {
     console.log('📅 No dates found in workflow pages');
@@ -1242,9 +4645,9 @@ function findReferenceDate(allWorkflowPages, webhookTargetDate) {
 }
 
 // Get database schema to understand what properties exist
-async function getDatabaseSchema(databaseId) {
+async function getDatabaseSchema(workspace, databaseId) {
   try {
-    const database = await notion.databases.retrieve({ database_id: databaseId });
+    const database = await workspace.notion.databases.retrieve({ database_id: databaseId });
     return Object.keys(database.properties);
   } catch (error) {
     console.error(`Error getting database schema for ${databaseId}:`, error.message);
@@ -1262,13 +4665,13 @@ function cleanPropertiesForAPI(properties, allowedProperties = []) {
     // Skip properties that don't exist in target database (but allow Title and Name for mapping)
     // Also skip the "Workflow" property as it's only used for filtering templates
     if (allowedProperties.length > 0 && !allowedProperties.includes(key) && key !== 'Title' && key !== 'Name' && key !== 'Workflow') {
-      console.log(`Skipping property '${key}' - not found in target database schema`);
+      console.debug(`Skipping property '${key}' - not found in target database schema`);
       continue;
     }
 
     // Explicitly skip the Workflow property since it's only used for filtering templates
     if (key === 'Workflow') {
-      console.log(`Skipping property 'Workflow' - not needed in target database`);
+      console.debug(`Skipping property 'Workflow' - not needed in target database`);
       continue;
     }
 
@@ -1289,136 +4692,156 @@ function cleanPropertiesForAPI(properties, allowedProperties = []) {
   return cleanedProperties;
 }
 
+// Build the Stories page properties for a template: cleaned properties, epic-prefixed
+// title, translated dates and the epic relation
+function buildStoryProperties(workflowPage, epicDetails, dateTranslation, storiesSchema) {
+  // Prepare new page properties and clean them for API
+  // Keep the Name property for title mapping, even if it's not in target schema
+  const rawProperties = { ...workflowPage.properties };
+  const newProperties = cleanPropertiesForAPI(rawProperties, storiesSchema);
+
+  // Handle title mapping - source has 'Name', target has 'Title'
+  let originalTitle = '';
+
+  // Debug: Log what properties and metadata are available
+  const pageProps = Object.keys(workflowPage.properties);
+  addDebugMessage(`Page ${workflowPage.id} properties: [${pageProps.join(', ')}]`);
+  console.debug(`Page properties for ${workflowPage.id}:`, pageProps);
+
+  // Debug: Check for icon in the source page
+  if (workflowPage.icon) {
+    addDebugMessage(`Source page ${workflowPage.id} has icon: ${JSON.stringify(workflowPage.icon)}`);
+    console.debug(`🎨 Source page has icon:`, workflowPage.icon);
+  } else {
+    addDebugMessage(`Source page ${workflowPage.id} has no icon`);
+    console.debug(`🎨 Source page has no icon`);
+  }
+
+  if (newProperties.Name && newProperties.Name.title) {
+    originalTitle = newProperties.Name.title[0]?.plain_text || '';
+    addDebugMessage(`Found Name property with title: "${originalTitle}"`);
+    console.debug(`Found Name property with title: "${originalTitle}"`);
+    // Remove the Name property since target doesn't have it
+    delete newProperties.Name;
+  } else if (newProperties.Name && newProperties.Name.rich_text) {
+    // Try rich_text format
+    originalTitle = newProperties.Name.rich_text[0]?.plain_text || '';
+    addDebugMessage(`Found Name property with rich_text: "${originalTitle}"`);
+    console.debug(`Found Name property with rich_text: "${originalTitle}"`);
+    delete newProperties.Name;
+  } else {
+    addDebugMessage(`No Name property found or unexpected format: ${JSON.stringify(newProperties.Name)}`);
+    console.debug('No Name property found or it has unexpected format:', newProperties.Name);
+  }
+
+  // Create Title property with epic prefix
+  if (originalTitle) {
+    newProperties.Title = {
+      title: [{
+        text: {
+          content: `${epicDetails.name}: ${originalTitle}`
+        }
+      }]
+    };
+    addDebugMessage(`Created Title property: "${epicDetails.name}: ${originalTitle}"`);
+    console.debug(`Created Title property: "${epicDetails.name}: ${originalTitle}"`);
+  } else {
+    // Fallback: create a generic title if no name was found
+    newProperties.Title = {
+      title: [{
+        text: {
+          content: `${epicDetails.name}: Workflow Task`
+        }
+      }]
+    };
+    addDebugMessage(`Created fallback Title property: "${epicDetails.name}: Workflow Task"`);
+    console.debug(`Created fallback Title property: "${epicDetails.name}: Workflow Task"`);
+  }
+
+  if (dateTranslation.schedule) {
+    // Scheduled from the dependency graph: dates come from the schedule, not the template
+    const scheduled = dateTranslation.schedule.dates[workflowPage.id];
+    if (scheduled && (storiesSchema.length === 0 || storiesSchema.includes('Date'))) {
+      newProperties.Date = { date: { ...scheduled } };
+    }
+  } else if (newProperties.Date && newProperties.Date.date) {
+    // Translate dates - handle both single dates and date ranges
+    // Copy the date so translating it doesn't modify the template page in memory
+    newProperties.Date = { ...newProperties.Date, date: { ...newProperties.Date.date } };
+    const originalDate = newProperties.Date.date;
+
+    // If we have the original workflow page date, use it for translation
+    if (workflowPage.date) {
+      const translatedDate = translateDate(workflowPage.date, dateTranslation);
+
+      // Handle date ranges (both start and end dates)
+      if (originalDate.start && originalDate.end) {
+        const startDate = new Date(originalDate.start);
+        const endDate = new Date(originalDate.end);
+
+        // Validate original date range
+        if (startDate >= endDate) {
+          console.warn(`⚠️ Invalid date range skipped: ${originalDate.start}-${originalDate.end}`);
+        } else {
+          newProperties.Date.date.start = translatedDate.toISOString().split('T')[0];
+          const translatedEndDate = translateRangeEnd(translatedDate, startDate, endDate, dateTranslation);
+
+          if (translatedEndDate <= translatedDate && dateTranslation.calendar) {
+            // The whole range falls on non-working days, keep just the start
+            newProperties.Date.date.end = null;
+          } else if (translatedEndDate <= translatedDate) {
+            console.warn(`⚠️ Date translation skipped to prevent invalid range`);
+          } else {
+            newProperties.Date.date.end = translatedEndDate.toISOString().split('T')[0];
+          }
+        }
+      } else if (originalDate.start) {
+        // Single date
+        newProperties.Date.date.start = translatedDate.toISOString().split('T')[0];
+      }
+    } else {
+      // No translation needed, but ensure dates are valid
+      if (originalDate.start && originalDate.end) {
+        const startDate = new Date(originalDate.start);
+        const endDate = new Date(originalDate.end);
+
+        if (startDate >= endDate) {
+          console.warn(`⚠️ Invalid date range: ${originalDate.start}-${originalDate.end}`);
+        }
+      }
+    }
+  }
+
+  // Add relation to epic
+  if (!newProperties.Epic) {
+    newProperties.Epic = {
+      relation: [{ id: epicDetails.id }]
+    };
+  }
+
+  return { properties: newProperties, originalTitle };
+}
+
 // Copy pages to Stories database with translations
-async function copyPagesToStories(workflowPages, epicDetails, dateTranslation, workflowType = null, allEpics = []) {
+async function copyPagesToStories(workspace, workflowPages, epicDetails, dateTranslation, workflowType = null, allEpics = [], progress = createWorkflowProgress()) {
   const copiedPages = [];
-  const templateToPageMap = {}; // Map template page names to new page IDs
+  const templateToPageMap = {}; // Map template page IDs to new page IDs
+  const contentReport = { blocksCopied: 0, skippedBlocks: [], failedBlocks: [] };
 
   // Get Stories database schema to know which properties are allowed
   console.log('Getting Stories database schema...');
-  const storiesSchema = await getDatabaseSchema(STORIES_DB_ID);
+  const storiesSchema = await getDatabaseSchema(workspace, workspace.db.stories);
   console.log('Stories database properties:', storiesSchema);
 
   for (const workflowPage of workflowPages) {
+    setLogFields({ templateId: workflowPage.id });
     try {
-
-      // Prepare new page properties and clean them for API
-      // Keep the Name property for title mapping, even if it's not in target schema
-      const rawProperties = { ...workflowPage.properties };
-      const newProperties = cleanPropertiesForAPI(rawProperties, storiesSchema);
-
-      // Handle title mapping - source has 'Name', target has 'Title'
-      let originalTitle = '';
-
-      // Debug: Log what properties and metadata are available
-      const pageProps = Object.keys(workflowPage.properties);
-      addDebugMessage(`Page ${workflowPage.id} properties: [${pageProps.join(', ')}]`);
-      console.log(`Page properties for ${workflowPage.id}:`, pageProps);
-
-      // Debug: Check for icon in the source page
-      if (workflowPage.icon) {
-        addDebugMessage(`Source page ${workflowPage.id} has icon: ${JSON.stringify(workflowPage.icon)}`);
-        console.log(`🎨 Source page has icon:`, workflowPage.icon);
-      } else {
-        addDebugMessage(`Source page ${workflowPage.id} has no icon`);
-        console.log(`🎨 Source page has no icon`);
-      }
-
-      if (newProperties.Name && newProperties.Name.title) {
-        originalTitle = newProperties.Name.title[0]?.plain_text || '';
-        addDebugMessage(`Found Name property with title: "${originalTitle}"`);
-        console.log(`Found Name property with title: "${originalTitle}"`);
-        // Remove the Name property since target doesn't have it
-        delete newProperties.Name;
-      } else if (newProperties.Name && newProperties.Name.rich_text) {
-        // Try rich_text format
-        originalTitle = newProperties.Name.rich_text[0]?.plain_text || '';
-        addDebugMessage(`Found Name property with rich_text: "${originalTitle}"`);
-        console.log(`Found Name property with rich_text: "${originalTitle}"`);
-        delete newProperties.Name;
-      } else {
-        addDebugMessage(`No Name property found or unexpected format: ${JSON.stringify(newProperties.Name)}`);
-        console.log('No Name property found or it has unexpected format:', newProperties.Name);
-      }
-
-      // Create Title property with epic prefix
-      if (originalTitle) {
-        newProperties.Title = {
-          title: [{
-            text: {
-              content: `${epicDetails.name}: ${originalTitle}`
-            }
-          }]
-        };
-        addDebugMessage(`Created Title property: "${epicDetails.name}: ${originalTitle}"`);
-        console.log(`Created Title property: "${epicDetails.name}: ${originalTitle}"`);
-      } else {
-        // Fallback: create a generic title if no name was found
-        newProperties.Title = {
-          title: [{
-            text: {
-              content: `${epicDetails.name}: Workflow Task`
-            }
-          }]
-        };
-        addDebugMessage(`Created fallback Title property: "${epicDetails.name}: Workflow Task"`);
-        console.log(`Created fallback Title property: "${epicDetails.name}: Workflow Task"`);
-      }
-
-      // Translate dates - handle both single dates and date ranges
-      if (newProperties.Date && newProperties.Date.date) {
-        const originalDate = newProperties.Date.date;
-
-        // If we have the original workflow page date, use it for translation
-        if (workflowPage.date) {
-          const translatedDate = new Date(workflowPage.date.getTime() + dateTranslation.offset);
-
-          // Handle date ranges (both start and end dates)
-          if (originalDate.start && originalDate.end) {
-            const startDate = new Date(originalDate.start);
-            const endDate = new Date(originalDate.end);
-
-            // Validate original date range
-            if (startDate >= endDate) {
-              console.warn(`⚠️ Invalid date range skipped: ${originalDate.start}-${originalDate.end}`);
-            } else {
-              const duration = endDate.getTime() - startDate.getTime();
-              newProperties.Date.date.start = translatedDate.toISOString().split('T')[0];
-              const translatedEndDate = new Date(translatedDate.getTime() + duration);
-
-              if (translatedEndDate <= translatedDate) {
-                console.warn(`⚠️ Date translation skipped to prevent invalid range`);
-              } else {
-                newProperties.Date.date.end = translatedEndDate.toISOString().split('T')[0];
-              }
-            }
-          } else if (originalDate.start) {
-            // Single date
-            newProperties.Date.date.start = translatedDate.toISOString().split('T')[0];
-          }
-        } else {
-          // No translation needed, but ensure dates are valid
-          if (originalDate.start && originalDate.end) {
-            const startDate = new Date(originalDate.start);
-            const endDate = new Date(originalDate.end);
-
-            if (startDate >= endDate) {
-              console.warn(`⚠️ Invalid date range: ${originalDate.start}-${originalDate.end}`);
-            }
-          }
-        }
-      }
-
-      // Add relation to epic
-      if (!newProperties.Epic) {
-        newProperties.Epic = {
-          relation: [{ id: epicDetails.id }]
-        };
-      }
+      const { properties: newProperties } =
+        buildStoryProperties(workflowPage, epicDetails, dateTranslation, storiesSchema);
 
       // Prepare page creation parameters
       const pageParams = {
-        parent: { database_id: STORIES_DB_ID },
+        parent: { database_id: workspace.db.stories },
         properties: newProperties,
       };
 
@@ -1428,44 +4851,369 @@ async function copyPagesToStories(workflowPages, epicDetails, dateTranslation, w
       }
 
       // Create new page in Stories database
-      const newPage = await notion.pages.create(pageParams);
+      const newPage = await workspace.notion.pages.create(pageParams);
       copiedPages.push(newPage);
+      progress.pagesCopied++;
+      log('info', `📄 Created story "${newProperties.Title.title[0].text.content}"`, {
+        pageId: newPage.id,
+        date: newProperties.Date?.date?.start || null
+      });
+      recordWorkflowRunChange(progress.runId, 'createdPages', {
+        pageId: newPage.id,
+        templateId: workflowPage.id,
+        workflow: workflowType
+      });
 
       // Copy page content (blocks) from template to new page
       try {
-        await copyPageContent(workflowPage.id, newPage.id);
+        const pageReport = await copyPageContent(workspace, workflowPage.id, newPage.id);
+        contentReport.blocksCopied += pageReport.blocksCopied;
+        contentReport.skippedBlocks.push(...pageReport.skipped.map(skip => ({ templateId: workflowPage.id, ...skip })));
+        contentReport.failedBlocks.push(...pageReport.failed.map(failure => ({ templateId: workflowPage.id, ...failure })));
+
+        for (const failure of pageReport.failed) {
+          progress.errors.push({ workflow: workflowType, pageId: workflowPage.id, message: `Content copy failed: ${failure.error}` });
+        }
       } catch (contentError) {
-        console.error(`⚠️ Content copy failed for ${workflowPage.id}: ${contentError.message}`);
+        log('error', `⚠️ Content copy failed for ${workflowPage.id}: ${contentError.message}`, { pageId: newPage.id, error: contentError.message });
+        progress.errors.push({ workflow: workflowType, pageId: workflowPage.id, message: `Content copy failed: ${contentError.message}` });
       }
 
-
-
-      // Track the mapping from template page name to new page ID for dependency resolution
-      if (originalTitle) {
-        templateToPageMap[originalTitle] = newPage.id;
-      }
+      // Track the mapping from template page ID to new page ID for dependency resolution
+      templateToPageMap[workflowPage.id] = newPage.id;
     } catch (error) {
-      console.error(`Error copying page ${workflowPage.id}:`, error);
+      log('error', `❌ Error copying page ${workflowPage.id}: ${error.message}`, { error: error.message, code: error.code || null });
+      progress.errors.push({ workflow: workflowType, pageId: workflowPage.id, message: error.message });
       // Continue with other pages even if one fails
     }
   }
+  setLogFields({ templateId: undefined });
 
   return {
     copiedPages,
-    templateToPageMap
+    templateToPageMap,
+    contentReport
+  };
+}
+
+// ─── Schema Doctor ──────────────────────────────────────────────────────────
+// Most failures come from a renamed or retyped property, so every configured database
+// is retrieved and checked for the properties the server reads and writes. Runs at
+// startup and every SCHEMA_CHECK_INTERVAL_MINUTES; GET /doctor runs it on demand and
+// GET /ready answers from the latest full report.
+
+const SCHEMA_CHECK_INTERVAL_MINUTES = parseInt(process.env.SCHEMA_CHECK_INTERVAL_MINUTES || '15', 10);
+
+const TEXT_PROPERTY_TYPES = ['rich_text', 'title', 'select', 'formula'];
+
+// Per database: where its ID is configured and the properties it needs. `names` are
+// alternatives (any one will do); `names: null` takes any property of the type.
+// Missing optional properties only disable a feature, so they're warnings.
+const DATABASE_REQUIREMENTS = [
+  {
+    key: 'productWorkflows',
+    label: 'Product Workflows',
+    env: 'PRODUCT_WORKFLOWS_DB_ID',
+    configKey: 'productWorkflowsDbId',
+    getId: workspace => workspace.db.productWorkflows,
+    properties: [
+      { names: ['Workflow'], types: ['multi_select'], usedFor: 'picking the templates of a workflow type' },
+      { names: ['Date'], types: ['date'], usedFor: 'ordering templates and translating dates' },
+      { names: ['Name', 'Title'], types: ['title', 'rich_text'], optional: true, usedFor: 'story titles' },
+      { names: BLOCKING_PROPERTIES, types: ['relation'], optional: true, usedFor: 'copying dependencies' },
+      { names: BLOCKED_BY_PROPERTIES, types: ['relation'], optional: true, usedFor: 'copying dependencies' }
+    ]
+  },
+  {
+    key: 'stories',
+    label: 'Stories',
+    env: 'STORIES_DB_ID',
+    configKey: 'storiesDbId',
+    getId: workspace => workspace.db.stories,
+    properties: [
+      { names: ['Title'], types: ['title'], usedFor: 'story titles' },
+      { names: ['Epic'], types: ['relation'], usedFor: 'linking stories to their epic' },
+      { names: ['Date'], types: ['date'], optional: true, usedFor: 'story dates' },
+      { names: ['Blocking'], types: ['relation'], optional: true, usedFor: 'copying dependencies' },
+      { names: ['Blocked by'], types: ['relation'], optional: true, usedFor: 'copying dependencies' }
+    ]
+  },
+  {
+    key: 'promoStories',
+    label: 'Promo Stories',
+    env: 'PROMO_STORIES_DB_ID',
+    configKey: 'promoStoriesDbId',
+    getId: workspace => workspace.db.promoStories,
+    properties: [
+      { names: PROJECT_PROPERTY_CANDIDATES, types: ['relation'], usedFor: "finding a story's channels" },
+      { names: STORY_EVENT_DATE_CANDIDATES, types: ['date'], optional: true, usedFor: 'send dates and the upcoming filter' }
+    ]
+  },
+  {
+    key: 'promoChannels',
+    label: 'Promo Channels',
+    env: 'PROMO_CHANNELS_DB_ID',
+    configKey: 'promoChannelsDbId',
+    getId: workspace => workspace.db.promoChannels,
+    properties: [
+      { names: ['Name'], types: ['title'], usedFor: 'channel names' },
+      { names: PROJECT_PROPERTY_CANDIDATES, types: ['relation'], usedFor: "matching channels to a story's projects" },
+      { names: CHANNEL_LEAD_TIME_CANDIDATES, types: ['number', ...TEXT_PROPERTY_TYPES], optional: true, usedFor: 'send dates' },
+      { names: CHANNEL_SEND_WINDOW_CANDIDATES, types: TEXT_PROPERTY_TYPES, optional: true, usedFor: 'send times' }
+    ]
+  },
+  {
+    key: 'promoSends',
+    label: 'Promo Sends',
+    env: 'PROMO_SENDS_DB_ID',
+    configKey: 'promoSendsDbId',
+    getId: workspace => workspace.db.promoSends,
+    properties: [
+      { names: ['Name'], types: ['title'], usedFor: 'send names' },
+      { names: ['Story'], types: ['relation'], usedFor: 'linking sends to their story' },
+      { names: [PROMO_SEND_CHANNEL_PROPERTY], types: ['relation'], usedFor: 'linking sends to their channel' },
+      { names: [PROMO_SEND_DATE_PROPERTY], types: ['date'], optional: true, usedFor: 'send dates' },
+      { names: [PROMO_SEND_SENT_PROPERTY], types: ['checkbox'], optional: true, usedFor: 'pruning and the digest' },
+      { names: PROJECT_PROPERTY_CANDIDATES, types: ['relation'], optional: true, usedFor: "copying the story's projects to sends" }
+    ]
+  },
+  {
+    key: 'holidays',
+    label: 'Holidays',
+    env: 'HOLIDAYS_DB_ID',
+    configKey: 'holidaysDbId',
+    getId: workspace => workspace.calendar.holidaysDbId,
+    properties: [
+      { names: null, types: ['date'], usedFor: 'holiday dates' }
+    ]
+  }
+];
+
+// Latest report covering every workspace (null until the first check finishes)
+let lastSchemaReport = null;
+
+// Where a database ID is set: the env var for the default workspace, else the profile key
+function getDatabaseSetting(workspace, requirement) {
+  return workspace.name === DEFAULT_WORKSPACE
+    ? requirement.env
+    : `${requirement.configKey} in workspace "${workspace.name}"`;
+}
+
+// The issue with one required property, or null if the database has it
+function checkDatabaseProperty(properties, requirement) {
+  const { names, types, optional, usedFor } = requirement;
+  const severity = optional ? 'warning' : 'error';
+  const wanted = types.join(' or ');
+
+  const present = names
+    ? names.filter(name => properties[name])
+    : Object.keys(properties).filter(name => types.includes(properties[name].type));
+  if (present.some(name => types.includes(properties[name].type))) return null;
+
+  if (present.length > 0) {
+    const name = present[0];
+    return {
+      severity,
+      property: name,
+      message: `"${name}" is a ${properties[name].type} property; change it to ${wanted} (used for ${usedFor})`
+    };
+  }
+
+  if (!names) {
+    return { severity, property: null, message: `No ${wanted} property; add one (used for ${usedFor})` };
+  }
+  return {
+    severity,
+    property: names[0],
+    message: names.length === 1
+      ? `No "${names[0]}" property; add a ${wanted} property named "${names[0]}" (used for ${usedFor})`
+      : `None of ${names.map(name => `"${name}"`).join(', ')} exists; add a ${wanted} property with one of these names (used for ${usedFor})`
+  };
+}
+
+// What to do when a configured database can't be retrieved
+function describeDatabaseError(error, workspace, requirement) {
+  const setting = getDatabaseSetting(workspace, requirement);
+  if (error.code === 'object_not_found' || error.code === 'not_found' || error.code === 'restricted_resource') {
+    return `Database not found or not shared with the integration; share it with the integration or fix ${setting}`;
+  }
+  if (error.code === 'unauthorized') {
+    return `Notion rejected the token for workspace "${workspace.name}"; check it is a valid integration token`;
+  }
+  if (error.code === 'validation_error') {
+    return `${setting} is not a valid database ID: ${error.message}`;
+  }
+  return `Could not retrieve the database: ${error.message}`;
+}
+
+async function checkDatabase(workspace, requirement) {
+  const result = {
+    database: requirement.key,
+    label: requirement.label,
+    databaseId: requirement.getId(workspace),
+    setting: getDatabaseSetting(workspace, requirement),
+    issues: []
   };
+
+  let database;
+  try {
+    database = await workspace.notion.databases.retrieve({ database_id: result.databaseId });
+  } catch (error) {
+    result.issues.push({ severity: 'error', property: null, message: describeDatabaseError(error, workspace, requirement) });
+    return result;
+  }
+
+  const properties = database.properties || {};
+  for (const property of requirement.properties) {
+    const issue = checkDatabaseProperty(properties, property);
+    if (issue) result.issues.push(issue);
+  }
+  // List what's there so a typo is easy to spot
+  if (result.issues.length > 0) {
+    result.availableProperties = Object.entries(properties).map(([name, prop]) => `${name} (${prop.type})`);
+  }
+
+  return result;
+}
+
+// Check every configured database of `targets`. Workspaces without any database
+// configured are left out.
+async function runSchemaDoctor(targets = [...workspaces.values()]) {
+  const report = { status: 'ok', checkedAt: new Date().toISOString(), errors: 0, warnings: 0, workspaces: [] };
+
+  for (const workspace of targets) {
+    const configured = DATABASE_REQUIREMENTS.filter(requirement => requirement.getId(workspace));
+    if (configured.length === 0) continue;
+
+    const entry = { workspace: workspace.name, issues: [], databases: [] };
+    if (!workspace.token) {
+      entry.issues.push({
+        severity: 'error',
+        message: workspace.name === DEFAULT_WORKSPACE
+          ? 'No Notion token; set NOTION_API_TOKEN'
+          : `No Notion token; set token or tokenEnv in workspace "${workspace.name}"`
+      });
+    } else {
+      for (const requirement of configured) {
+        entry.databases.push(await checkDatabase(workspace, requirement));
+      }
+    }
+    report.workspaces.push(entry);
+  }
+
+  const issues = report.workspaces.flatMap(entry => [...entry.issues, ...entry.databases.flatMap(database => database.issues)]);
+  report.errors = issues.filter(issue => issue.severity === 'error').length;
+  report.warnings = issues.filter(issue => issue.severity === 'warning').length;
+  report.status = report.errors > 0 ? 'failing' : report.warnings > 0 ? 'degraded' : 'ok';
+  return report;
+}
+
+// Full check for startup and the interval: keeps the report for /ready and logs each issue
+async function checkSchemas() {
+  try {
+    lastSchemaReport = await runSchemaDoctor();
+  } catch (error) {
+    console.error('❌ Schema check failed:', error.message);
+    return;
+  }
+
+  for (const entry of lastSchemaReport.workspaces) {
+    for (const issue of entry.issues) {
+      console.error(`❌ Workspace "${entry.workspace}": ${issue.message}`);
+    }
+    for (const database of entry.databases) {
+      for (const issue of database.issues) {
+        const line = `${database.label} DB (${database.setting}) in workspace "${entry.workspace}": ${issue.message}`;
+        if (issue.severity === 'error') console.error(`❌ ${line}`);
+        else console.warn(`⚠️ ${line}`);
+      }
+    }
+  }
+  console.log(`🩺 Schema check ${lastSchemaReport.status}: ${lastSchemaReport.errors} error(s), ${lastSchemaReport.warnings} warning(s)`);
 }
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  const apiKey = process.env.NOTION_API_TOKEN || process.env.NOTION_API_KEY;
-  console.log('Notion API Key:', apiKey ? 'Set' : 'Missing');
-  if (apiKey) {
-    const isValidFormat = apiKey.startsWith('secret_') || apiKey.startsWith('ntn_');
-    console.log('API Key format check:', isValidFormat ? 'Valid format' : 'Invalid format - should start with secret_ or ntn_');
-    console.log('API Key length:', apiKey.length);
+function startSchemaChecks() {
+  checkSchemas();
+  if (SCHEMA_CHECK_INTERVAL_MINUTES > 0) {
+    setInterval(checkSchemas, SCHEMA_CHECK_INTERVAL_MINUTES * 60 * 1000).unref();
+  }
+}
+
+// ?workspace= checks one workspace; a full check also refreshes the report /ready uses
+app.get('/doctor', requireAdmin, async (req, res) => {
+  let targets;
+  if (req.query.workspace) {
+    const workspace = getWorkspace(req.query.workspace);
+    if (!workspace) {
+      return res.status(404).json({ error: `Unknown workspace: ${req.query.workspace}` });
+    }
+    targets = [workspace];
+  }
+
+  try {
+    const report = await runSchemaDoctor(targets);
+    if (!targets) lastSchemaReport = report;
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Schema doctor failed:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Readiness probe: ready once the latest full schema check found no errors.
+// Details stay behind /doctor.
+app.get('/ready', (req, res) => {
+  if (!lastSchemaReport) {
+    return res.status(503).json({ status: 'starting', message: 'Schema check has not finished yet' });
+  }
+
+  const ready = lastSchemaReport.errors === 0;
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checkedAt: lastSchemaReport.checkedAt,
+    errors: lastSchemaReport.errors,
+    warnings: lastSchemaReport.warnings
+  });
+});
+
+// Oversized or malformed request bodies get a JSON error instead of Express's HTML page
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body is larger than the ${REQUEST_BODY_LIMIT} limit` });
   }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON' });
+  }
+  console.error('❌ Unhandled error:', error);
+  res.status(500).json({ error: 'Internal server error' });
 });
 
+// Start server (skipped when required by tests)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+    const apiKey = process.env.NOTION_API_TOKEN || process.env.NOTION_API_KEY;
+    console.log('Notion API Key:', apiKey ? 'Set' : 'Missing');
+    if (apiKey) {
+      const isValidFormat = apiKey.startsWith('secret_') || apiKey.startsWith('ntn_');
+      console.log('API Key format check:', isValidFormat ? 'Valid format' : 'Invalid format - should start with secret_ or ntn_');
+      console.log('API Key length:', apiKey.length);
+    }
+    for (const workspace of workspaces.values()) {
+      if (!workspace.token) console.warn(`⚠️ Workspace "${workspace.name}" has no Notion token`);
+      for (const [route, secret] of Object.entries(workspace.secrets)) {
+        if (!secret) {
+          console.warn(ALLOW_UNSIGNED_WEBHOOKS
+            ? `⚠️ No webhook secret set for ${route} in workspace "${workspace.name}" — unsigned requests will be accepted (ALLOW_UNSIGNED_WEBHOOKS)`
+            : `⚠️ No webhook secret set for ${route} in workspace "${workspace.name}" — its webhook requests will be rejected`);
+        }
+      }
+    }
+    if (!ADMIN_API_KEY) console.warn('⚠️ ADMIN_API_KEY is not set — admin and diagnostic routes are disabled');
+    startScheduler();
+    startSchemaChecks();
+  });
+}
+
 module.exports = app;
+module.exports.flushPendingWrites = flushPendingWrites;
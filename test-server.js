@@ -1,8 +1,137 @@
-// Simple test script to verify server functionality
-const app = require('./server');
+// Server tests — run with: npm test
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'koii-server-test-'));
+process.env.NOTION_API_TOKEN = 'default-token';
+process.env.NOTION_WEBHOOK_SECRET = 'test-notion-secret';
+process.env.PROMO_WEBHOOK_SECRET = 'test-promo-secret';
+process.env.PRODUCT_WORKFLOWS_DB_ID = 'workflows-db';
+process.env.STORIES_DB_ID = 'stories-db';
+process.env.PROMO_STORIES_DB_ID = 'promo-stories-db';
+process.env.PROMO_CHANNELS_DB_ID = 'channels-db';
+process.env.PROMO_SENDS_DB_ID = 'sends-db';
+process.env.WORKSPACES = JSON.stringify({
+  acme: {
+    token: 'acme-token',
+    promoChannelsDbId: 'acme-channels-db',
+    promoSendsDbId: 'acme-sends-db',
+    promoWebhookSecret: 'acme-promo-secret'
+  },
+  ops: {
+    token: 'ops-token',
+    productWorkflowsDbId: 'ops-workflows-db',
+    storiesDbId: 'ops-stories-db',
+    dateMode: 'business',
+    holidays: ['2024-03-08'],
+    holidaysDbId: 'ops-holidays-db',
+    promoChannelsDbId: 'ops-channels-db',
+    promoSendsDbId: 'ops-sends-db',
+    notionWebhookSecret: 'ops-notion-secret',
+    promoWebhookSecret: 'ops-promo-secret'
+  }
+});
+process.env.SCHEDULES = JSON.stringify([
+  { name: 'nightly-promo', cron: '30 3 * * *', task: 'promo-sync-all', params: { upcoming: true } },
+  { name: 'acme-story', cron: '*/15 9-17 * * 1-5', task: 'promo-sync', workspace: 'acme', params: { storyId: 'story-s' } }
+]);
+process.env.WEBHOOK_SUBSCRIPTIONS = JSON.stringify([
+  { name: 'ops-promo', url: 'https://hooks.example.com/koii', events: ['promo_sync.*'], secret: 'outbound-secret', workspace: 'ops' },
+  { name: 'ops-slack', url: 'https://hooks.slack.example/T000/B000', events: ['*.failed'], format: 'slack', workspace: 'ops' }
+]);
+process.env.OUTBOUND_WEBHOOK_RETRY_BASE_MS = '1';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.CORS_ORIGINS = 'https://ops.example.com';
+process.env.LOG_LEVEL = 'debug';
+process.env.NOTION_REQUESTS_PER_SECOND = '1000';
+process.env.NOTION_RETRY_BASE_MS = '1';
+
+// An async copy job cut off by a restart
+fs.writeFileSync(path.join(process.env.DATA_DIR, 'jobs.json'), JSON.stringify({
+  'job-crashed': {
+    id: 'job-crashed',
+    type: 'workflow-copy',
+    workspace: 'default',
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    progress: { workflowsTotal: 1, workflowsCompleted: 0, currentWorkflow: 'New batch', pagesCopied: 3, errors: [] },
+    result: null,
+    error: null
+  }
+}));
 
-// Test the health endpoint
+// A workflow copy cut off by a restart, left 'running' by the previous process
+fs.writeFileSync(path.join(process.env.DATA_DIR, 'workflow-runs.json'), JSON.stringify({
+  'run-crashed': {
+    id: 'run-crashed',
+    workspace: 'default',
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    workflows: [{ workflow: 'New batch', epicId: 'epic-1' }],
+    referenceDate: '2024-03-01',
+    createdPages: [{ pageId: 'story-crashed' }],
+    relationUpdates: [],
+    errors: []
+  }
+}));
+
+// Every Client instance shares these mocks
+const mockNotion = {
+  pages: { retrieve: jest.fn(), create: jest.fn(), update: jest.fn(), properties: { retrieve: jest.fn() } },
+  databases: { query: jest.fn(), retrieve: jest.fn() },
+  blocks: { update: jest.fn(), delete: jest.fn(), children: { list: jest.fn(), append: jest.fn() } }
+};
+jest.mock('@notionhq/client', () => ({ Client: jest.fn(() => mockNotion) }));
+
+const app = require('./server');
 const request = require('supertest');
+const { Client } = require('@notionhq/client');
+
+// Captured before beforeEach clears mock calls
+const clientAuths = Client.mock.calls.map(([options]) => options.auth);
+
+// Build an X-Koii-Signature header for a JSON body
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const payload = JSON.stringify(body);
+  const v1 = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return { payload, header: `t=${timestamp},v1=${v1}` };
+}
+
+// Minimal Notion page with a title property
+function page(id, title, extraProperties = {}) {
+  return {
+    id,
+    properties: { Name: { title: [{ plain_text: title }] }, ...extraProperties }
+  };
+}
+
+// Poll a job until it leaves the queue
+async function waitForJob(jobId) {
+  for (let i = 0; i < 50; i++) {
+    const response = await request(app).get(`/jobs/${jobId}`).set('X-Webhook-Token', 'test-notion-secret').expect(200);
+    if (response.body.status === 'completed' || response.body.status === 'failed') {
+      return response.body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+beforeEach(() => {
+  // Also drops leftover mockResolvedValueOnce queues from the previous test
+  jest.resetAllMocks();
+});
+
+afterAll(async () => {
+  // Run history, the ledger and run logs are written in the background
+  await app.flushPendingWrites();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
 
 describe('Server Tests', () => {
   test('Health check endpoint should return OK', async () => {
@@ -14,15 +143,1961 @@ describe('Server Tests', () => {
     expect(response.body.message).toBe('Server is running');
   });
 
-  test('Webhook endpoint should handle missing epic ID', async () => {
+  test('Webhook endpoint should handle missing workflows', async () => {
+    const response = await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({})
+      .expect(400);
+
+    expect(response.body.error).toBe('No workflows selected. Please select at least one workflow.');
+  });
+});
+
+describe('Webhook verification', () => {
+  test('rejects unsigned requests with 401', async () => {
+    await request(app).post('/webhook/notion').send({}).expect(401);
+    await request(app).post('/webhook/promo-sends').send({}).expect(401);
+  });
+
+  test('rejects a wrong token', async () => {
+    const response = await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'nope')
+      .send({})
+      .expect(401);
+
+    expect(response.body.details).toBe('Invalid webhook token');
+  });
+
+  test('does not accept one route\'s secret on another route', async () => {
+    await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({})
+      .expect(401);
+  });
+
+  test('accepts a token in the query string', async () => {
+    const response = await request(app)
+      .post('/webhook/promo-sends?token=test-promo-secret')
+      .send({})
+      .expect(400);
+
+    expect(response.body.error).toBe('Missing or invalid storyId');
+  });
+
+  test('accepts a valid HMAC signature', async () => {
+    const { payload, header } = sign('test-promo-secret', {});
+
+    await request(app)
+      .post('/webhook/promo-sends')
+      .set('Content-Type', 'application/json')
+      .set('X-Koii-Signature', header)
+      .send(payload)
+      .expect(400);
+  });
+
+  test('rejects a signature over a different body', async () => {
+    const { header } = sign('test-promo-secret', { storyId: 'a' });
+
+    const response = await request(app)
+      .post('/webhook/promo-sends')
+      .set('Content-Type', 'application/json')
+      .set('X-Koii-Signature', header)
+      .send(JSON.stringify({ storyId: 'b' }))
+      .expect(401);
+
+    expect(response.body.details).toBe('Signature does not match');
+  });
+
+  test('rejects a stale signature', async () => {
+    const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600;
+    const { payload, header } = sign('test-promo-secret', {}, tenMinutesAgo);
+
+    const response = await request(app)
+      .post('/webhook/promo-sends')
+      .set('Content-Type', 'application/json')
+      .set('X-Koii-Signature', header)
+      .send(payload)
+      .expect(401);
+
+    expect(response.body.details).toBe('Signature timestamp is outside the allowed window');
+  });
+
+  test('rejects every request to a route without a secret', async () => {
+    // acme has a promo-sends secret but none for workflow copies
     const response = await request(app)
+      .post('/w/acme/webhook/notion')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1' })
+      .expect(503);
+
+    expect(response.body.error).toBe('Webhook verification is not configured');
+    expect(mockNotion.pages.retrieve).not.toHaveBeenCalled();
+  });
+
+  test('rejects a malformed signature header', async () => {
+    await request(app)
       .post('/webhook/notion')
+      .set('X-Koii-Signature', 'garbage')
       .send({})
+      .expect(401);
+  });
+});
+
+describe('Async workflow copy jobs', () => {
+  beforeEach(() => {
+    mockNotion.pages.retrieve.mockResolvedValue(page('epic-1', 'Spring Batch'));
+    mockNotion.databases.query.mockResolvedValue({
+      results: [
+        page('tpl-1', 'Order labels', { Date: { date: { start: '2024-01-01' } } }),
+        page('tpl-2', 'Ship', { Date: { date: { start: '2024-01-05' } } })
+      ],
+      has_more: false
+    });
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Title: {}, Date: {}, Epic: {} } });
+    mockNotion.pages.create.mockImplementation(async () => ({ id: `story-${mockNotion.pages.create.mock.calls.length}` }));
+    mockNotion.blocks.children.list.mockResolvedValue({ results: [], has_more: false });
+  });
+
+  test('returns 202 with a job ID and reports progress when done', async () => {
+    const response = await request(app)
+      .post('/webhook/notion?async=true')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', targetDate: '2024-03-01' })
+      .expect(202);
+
+    expect(response.body.jobId).toBeDefined();
+    expect(response.body.statusUrl).toBe(`/jobs/${response.body.jobId}`);
+
+    const job = await waitForJob(response.body.jobId);
+    expect(job.status).toBe('completed');
+    expect(job.progress.pagesCopied).toBe(2);
+    expect(job.progress.workflowsCompleted).toBe(1);
+    expect(job.progress.errors).toEqual([]);
+    expect(job.result[0].pagesCopied).toBe(2);
+  });
+
+  test('records page failures as job errors', async () => {
+    mockNotion.pages.create
+      .mockResolvedValueOnce({ id: 'story-1' })
+      .mockRejectedValueOnce(new Error('boom'));
+
+    const response = await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', async: true })
+      .expect(202);
+
+    const job = await waitForJob(response.body.jobId);
+    expect(job.progress.pagesCopied).toBe(1);
+    expect(job.progress.errors).toEqual([
+      expect.objectContaining({ workflow: 'New batch', pageId: 'tpl-2', message: 'boom' })
+    ]);
+  });
+
+  test('saves finished jobs with a compacted result', async () => {
+    const response = await request(app)
+      .post('/webhook/notion?async=true')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', targetDate: '2024-03-02' })
+      .expect(202);
+    await waitForJob(response.body.jobId);
+    await app.flushPendingWrites();
+
+    const saved = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'jobs.json'), 'utf8'))[response.body.jobId];
+    expect(saved.status).toBe('completed');
+    expect(saved.result[0]).toEqual(expect.objectContaining({ pagesCopied: 2, workflowPagesCount: 2 }));
+    expect(saved.result[0].workflowPages).toBeUndefined();
+  });
+
+  test('jobs cut off by a restart report interrupted', async () => {
+    const response = await request(app).get('/jobs/job-crashed').set('X-Webhook-Token', 'test-notion-secret').expect(200);
+
+    expect(response.body.status).toBe('interrupted');
+    expect(response.body.error).toBe('The server restarted before the job finished');
+    expect(response.body.progress.pagesCopied).toBe(3);
+  });
+
+  test('unknown job IDs return 404', async () => {
+    await request(app).get('/jobs/does-not-exist').expect(404);
+  });
+});
+
+describe('Idempotent deliveries', () => {
+  beforeEach(() => {
+    // A story with no projects: the sync runs but has nothing to create
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-1', 'Launch'));
+    mockNotion.databases.query.mockResolvedValue({ results: [], has_more: false });
+  });
+
+  test('replays the original response for a repeated event ID', async () => {
+    const body = { storyId: 'story-1', source: { event_id: 'evt-1' } };
+
+    const first = await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send(body)
+      .expect(200);
+    const callsAfterFirst = mockNotion.pages.retrieve.mock.calls.length;
+
+    const second = await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send(body)
+      .expect(200);
+
+    expect(second.headers['idempotent-replay']).toBe('true');
+    expect(second.body).toEqual(first.body);
+    expect(mockNotion.pages.retrieve.mock.calls.length).toBe(callsAfterFirst);
+  });
+
+  test('records workflow copies without the template payloads', async () => {
+    mockNotion.pages.retrieve.mockResolvedValue(page('epic-1', 'Spring Batch'));
+    mockNotion.databases.query.mockResolvedValue({ results: [page('tpl-1', 'Order labels')], has_more: false });
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Title: {}, Epic: {} } });
+    mockNotion.pages.create.mockResolvedValue({ id: 'story-ledger' });
+    mockNotion.blocks.children.list.mockResolvedValue({ results: [], has_more: false });
+    const body = { workflows: ['New batch'], batchEpic: 'epic-1', source: { event_id: 'evt-ledger' } };
+    const copy = () => request(app).post('/webhook/notion').set('X-Webhook-Token', 'test-notion-secret').send(body).expect(200);
+
+    const first = await copy();
+    expect(first.body.results[0].workflowPages).toHaveLength(1);
+
+    const replay = await copy();
+    expect(replay.headers['idempotent-replay']).toBe('true');
+    expect(replay.body.results[0].workflowPages).toBeUndefined();
+    expect(replay.body.results[0]).toEqual(expect.objectContaining({ workflowPagesCount: 1, templateToPageMapCount: 1, pagesCopied: 1 }));
+  });
+
+  test('dedupes clicks on the same page without an event ID', async () => {
+    await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ data: { id: 'story-2' } })
+      .expect(200);
+
+    const second = await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ data: { id: 'story-2' } })
+      .expect(200);
+
+    expect(second.headers['idempotent-replay']).toBe('true');
+  });
+
+  test('treats a different mode for the same story as a new delivery', async () => {
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-m', 'Launch', { Projects: { relation: [{ id: 'project-1' }] } }));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Projects: { type: 'relation' }, Sent: { type: 'checkbox' } } });
+    const sync = (url, body) => request(app)
+      .post(url)
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send(body)
+      .expect(200);
+
+    await sync('/webhook/promo-sends', { storyId: 'story-m' });
+    const pruneRun = await sync('/webhook/promo-sends?prune=true', { storyId: 'story-m' });
+    expect(pruneRun.headers['idempotent-replay']).toBeUndefined();
+    expect(pruneRun.body.pruned).toEqual([]);
+
+    // The same mode set in the body instead of the query is still a repeat
+    const repeat = await sync('/webhook/promo-sends', { storyId: 'story-m', prune: true });
+    expect(repeat.headers['idempotent-replay']).toBe('true');
+  });
+
+  test('returns the same job for a repeated workflow copy delivery', async () => {
+    const body = { workflows: ['New batch'], batchEpic: 'epic-9', async: true, source: { event_id: 'evt-copy' } };
+
+    const first = await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send(body)
+      .expect(202);
+    const second = await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send(body)
+      .expect(202);
+
+    expect(second.body.jobId).toBe(first.body.jobId);
+    await waitForJob(first.body.jobId);
+  });
+
+  test('does not record rejected deliveries', async () => {
+    await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ source: { event_id: 'evt-bad' } })
+      .expect(400);
+
+    const retry = await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ source: { event_id: 'evt-bad' } })
+      .expect(400);
+
+    expect(retry.headers['idempotent-replay']).toBeUndefined();
+  });
+});
+
+describe('Notion retries', () => {
+  // Shaped like the SDK's APIResponseError
+  function notionError(code, status, headers = {}) {
+    return Object.assign(new Error(code), { code, status, headers });
+  }
+
+  beforeEach(() => {
+    mockNotion.databases.query.mockResolvedValue({ results: [], has_more: false });
+  });
+
+  test('retries rate limits and reports the retry count', async () => {
+    mockNotion.pages.retrieve
+      .mockRejectedValueOnce(notionError('rate_limited', 429, { 'retry-after': '0' }))
+      .mockRejectedValueOnce(notionError('service_unavailable', 503))
+      .mockResolvedValue(page('story-r', 'Launch'));
+
+    const response = await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ storyId: 'story-r' })
+      .expect(200);
+
+    expect(response.body.notionRetries).toBe(2);
+    expect(response.body.sendsFailed).toBe(0);
+  });
+
+  test('does not retry validation errors', async () => {
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-v', 'Launch'));
+    mockNotion.databases.query.mockRejectedValue(notionError('validation_error', 400));
+
+    await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ storyId: 'story-v' })
+      .expect(400);
+
+    expect(mockNotion.databases.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after the retry limit', async () => {
+    mockNotion.pages.retrieve.mockRejectedValue(notionError('conflict_error', 409));
+
+    const response = await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ storyId: 'story-c' })
+      .expect(500);
+
+    expect(response.body.details).toBe('conflict_error');
+    expect(mockNotion.pages.retrieve).toHaveBeenCalledTimes(6);
+  });
+
+  test('retries page creation only on rate limits and pre-send connection errors', async () => {
+    mockNotion.pages.retrieve.mockImplementation(async ({ page_id }) =>
+      page(page_id, 'Launch', { Projects: { relation: [{ id: 'project-1' }] } }));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Projects: { type: 'relation' } } });
+    mockNotion.databases.query.mockImplementation(async ({ database_id }) => ({
+      results: database_id === 'sends-db' ? [] : [page('channel-1', 'Newsletter')],
+      has_more: false
+    }));
+    mockNotion.blocks.children.list.mockResolvedValue({ results: [], has_more: false });
+    mockNotion.blocks.children.append.mockResolvedValue({ results: [] });
+    const sync = (storyId) => request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ storyId })
+      .expect(200);
+
+    // The write may have landed, so a timeout or 5xx is not retried
+    mockNotion.pages.create.mockReset()
+      .mockRejectedValueOnce(notionError('notionhq_client_request_timeout', undefined))
+      .mockRejectedValueOnce(notionError('service_unavailable', 503));
+    expect((await sync('story-t1')).body.sendsFailed).toBe(1);
+    expect((await sync('story-t2')).body.sendsFailed).toBe(1);
+    expect(mockNotion.pages.create).toHaveBeenCalledTimes(2);
+
+    mockNotion.pages.create.mockReset()
+      .mockRejectedValueOnce(notionError('rate_limited', 429, { 'retry-after': '0' }))
+      .mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }))
+      .mockResolvedValue({ id: 'send-new' });
+    const response = await sync('story-t3');
+    expect(response.body.sendsFailed).toBe(0);
+    expect(response.body.notionRetries).toBe(2);
+    expect(mockNotion.pages.create).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('Workflow copy dry run', () => {
+  const templates = {
+    'tpl-1': page('tpl-1', 'Order labels', {
+      Date: { date: { start: '2024-01-01' } },
+      Blocking: { relation: [{ id: 'tpl-2' }, { id: 'tpl-other' }] }
+    }),
+    'tpl-2': page('tpl-2', 'Ship', {
+      Date: { date: { start: '2024-01-05' } },
+      'Blocked by': { relation: [{ id: 'tpl-1' }] }
+    }),
+    'tpl-other': page('tpl-other', 'Unrelated task')
+  };
+
+  beforeEach(() => {
+    mockNotion.pages.retrieve.mockImplementation(async ({ page_id }) =>
+      templates[page_id] || page(page_id, 'Spring Batch')
+    );
+    mockNotion.databases.query.mockResolvedValue({
+      results: [templates['tpl-1'], templates['tpl-2']],
+      has_more: false
+    });
+    mockNotion.databases.retrieve.mockResolvedValue({
+      properties: { Title: {}, Date: {}, Epic: {}, Blocking: {}, 'Blocked by': {} }
+    });
+  });
+
+  test('returns the plan without writing to Notion', async () => {
+    const response = await request(app)
+      .post('/webhook/notion?dryRun=true')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', targetDate: '2024-03-10' })
+      .expect(200);
+
+    expect(response.body.dryRun).toBe(true);
+    expect(response.body.referenceDate).toBe('2024-03-10');
+    expect(response.body.workflows[0].epicName).toBe('Spring Batch');
+    expect(response.body.workflows[0].stories).toEqual([
+      expect.objectContaining({ templateId: 'tpl-1', title: 'Spring Batch: Order labels', date: { start: '2024-03-06' } }),
+      expect.objectContaining({ templateId: 'tpl-2', title: 'Spring Batch: Ship', date: { start: '2024-03-10' } })
+    ]);
+    expect(response.body.dependencies).toEqual([
+      { templateId: 'tpl-1', templateName: 'Order labels', blocking: ['Ship'], blockedBy: [] },
+      { templateId: 'tpl-2', templateName: 'Ship', blocking: [], blockedBy: ['Order labels'] }
+    ]);
+    expect(response.body.unresolvedDependencies).toEqual([
+      expect.objectContaining({ templateId: 'tpl-1', relation: 'Blocking', relatedName: 'Unrelated task' })
+    ]);
+
+    expect(mockNotion.pages.create).not.toHaveBeenCalled();
+    expect(mockNotion.pages.update).not.toHaveBeenCalled();
+    expect(mockNotion.blocks.children.append).not.toHaveBeenCalled();
+  });
+
+  test('does not leave translated dates on the templates', async () => {
+    await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', targetDate: '2024-03-10', dryRun: true })
+      .expect(200);
+
+    expect(templates['tpl-1'].properties.Date.date.start).toBe('2024-01-01');
+  });
+});
+
+describe('Business-day date translation', () => {
+  const templates = {
+    'tpl-1': page('tpl-1', 'Order labels', { Date: { date: { start: '2024-01-01', end: '2024-01-02' } } }),
+    'tpl-2': page('tpl-2', 'Ship', { Date: { date: { start: '2024-01-05' } } })
+  };
+
+  beforeEach(() => {
+    mockNotion.pages.retrieve.mockImplementation(async ({ page_id }) =>
+      templates[page_id] || page(page_id, 'Spring Batch')
+    );
+    mockNotion.databases.query.mockImplementation(async ({ database_id }) => ({
+      results: database_id === 'ops-holidays-db'
+        ? [{ id: 'holiday-1', properties: { Day: { type: 'date', date: { start: '2024-03-04' } } } }]
+        : [templates['tpl-1'], templates['tpl-2']],
+      has_more: false
+    }));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Title: {}, Date: {}, Epic: {} } });
+  });
+
+  test('skips weekends and holidays and keeps working-day durations', async () => {
+    // 2024-03-10 is a Sunday and 03-08 a configured holiday, so the last task lands on Thu 03-07.
+    // Order labels is 4 working days earlier, skipping the 03-04 holiday from the database.
+    const response = await request(app)
+      .post('/w/ops/webhook/notion?dryRun=true')
+      .set('X-Webhook-Token', 'ops-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', targetDate: '2024-03-10' })
+      .expect(200);
+
+    expect(response.body.dateMode).toBe('business');
+    expect(response.body.workflows[0].stories.map(story => story.date)).toEqual([
+      { start: '2024-02-29', end: '2024-03-01' },
+      { start: '2024-03-07' }
+    ]);
+    expect(mockNotion.databases.query).toHaveBeenCalledWith(expect.objectContaining({ database_id: 'ops-holidays-db' }));
+  });
+
+  test('calendar mode keeps the millisecond offset', async () => {
+    const response = await request(app)
+      .post('/webhook/notion?dryRun=true')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', targetDate: '2024-03-10' })
+      .expect(200);
+
+    expect(response.body.dateMode).toBe('calendar');
+    expect(response.body.workflows[0].stories[0].date).toEqual({ start: '2024-03-06', end: '2024-03-07' });
+  });
+});
+
+describe('Dependency scheduling', () => {
+  const duration = (days) => ({ Duration: { type: 'number', number: days } });
+  let templates;
+
+  beforeEach(() => {
+    templates = {
+      'tpl-a': page('tpl-a', 'Design', { ...duration(3), Blocking: { relation: [{ id: 'tpl-b' }] } }),
+      'tpl-b': page('tpl-b', 'Print', { ...duration(2), 'Blocked by': { relation: [{ id: 'tpl-a' }] }, Blocking: { relation: [{ id: 'tpl-d' }] } }),
+      'tpl-c': page('tpl-c', 'Order labels', { ...duration(1), Blocking: { relation: [{ id: 'tpl-d' }] } }),
+      'tpl-d': page('tpl-d', 'Ship', { Date: { date: { start: '2024-01-05' } } })
+    };
+    mockNotion.pages.retrieve.mockImplementation(async ({ page_id }) =>
+      templates[page_id] || page(page_id, 'Spring Batch')
+    );
+    mockNotion.databases.query.mockImplementation(async () => ({
+      results: Object.values(templates),
+      has_more: false
+    }));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Title: {}, Date: {}, Epic: {} } });
+  });
+
+  test('schedules backward from the target date with slack and critical path', async () => {
+    const response = await request(app)
+      .post('/webhook/notion?dryRun=true&schedule=dependencies')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', targetDate: '2024-03-10' })
+      .expect(200);
+
+    const { schedule, workflows } = response.body;
+    expect(schedule.criticalPath).toEqual(['Design', 'Print', 'Ship']);
+    expect(schedule.start).toBe('2024-03-05');
+    expect(schedule.stories).toEqual(expect.arrayContaining([
+      expect.objectContaining({ templateName: 'Order labels', start: '2024-03-09', slack: 4, critical: false }),
+      expect.objectContaining({ templateName: 'Ship', duration: 1, start: '2024-03-10', slack: 0 })
+    ]));
+    expect(workflows[0].stories.map(story => [story.templateName, story.date])).toEqual([
+      ['Design', { start: '2024-03-05', end: '2024-03-07' }],
+      ['Print', { start: '2024-03-08', end: '2024-03-09' }],
+      ['Order labels', { start: '2024-03-09', end: null }],
+      ['Ship', { start: '2024-03-10', end: null }]
+    ]);
+  });
+
+  test('anchors on the epic\'s target date when the webhook has none', async () => {
+    templates['epic-1'] = page('epic-1', 'Spring Batch', { 'Target date': { type: 'date', date: { start: '2024-03-10' } } });
+
+    const response = await request(app)
+      .post('/webhook/notion?dryRun=true&schedule=dependencies')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1' })
+      .expect(200);
+
+    expect(response.body.schedule.targetDate).toBe('2024-03-10');
+    expect(response.body.schedule.start).toBe('2024-03-05');
+  });
+
+  test('rejects dependency cycles with 422 before creating anything', async () => {
+    templates['tpl-b'].properties.Blocking = { relation: [{ id: 'tpl-a' }] };
+
+    const response = await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', targetDate: '2024-03-10', schedule: 'dependencies' })
+      .expect(422);
+
+    expect(response.body.cycle).toEqual(['Design', 'Print', 'Design']);
+    expect(mockNotion.pages.create).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown schedule modes', async () => {
+    await request(app)
+      .post('/webhook/notion?schedule=soonish')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1' })
       .expect(400);
+  });
+});
+
+describe('Dependency resolution', () => {
+  const templates = {
+    'tpl-1': page('tpl-1', 'Order labels', {
+      Blocking: { id: 'prop-blocking', relation: [{ id: 'tpl-2' }], has_more: true }
+    }),
+    'tpl-2': page('tpl-2', 'Print'),
+    // Same title as tpl-2: copies are matched by template ID, not name
+    'tpl-3': page('tpl-3', 'Print', { 'Blocked by': { relation: [{ id: 'tpl-1' }] } })
+  };
+
+  beforeEach(() => {
+    let created = 0;
+    mockNotion.pages.retrieve.mockImplementation(async ({ page_id }) => page(page_id, 'Spring Batch'));
+    mockNotion.pages.properties.retrieve.mockImplementation(async ({ start_cursor }) => (start_cursor
+      ? { results: [{ relation: { id: 'tpl-3' } }], has_more: false }
+      : { results: [{ relation: { id: 'tpl-2' } }], has_more: true, next_cursor: 'cursor-2' }
+    ));
+    mockNotion.databases.query.mockResolvedValue({ results: Object.values(templates), has_more: false });
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Title: {}, Epic: {}, Blocking: {}, 'Blocked by': {} } });
+    mockNotion.pages.create.mockImplementation(async () => ({ id: `story-${++created}` }));
+    mockNotion.pages.update.mockResolvedValue({});
+    mockNotion.blocks.children.list.mockResolvedValue({ results: [], has_more: false });
+  });
+
+  test('resolves relations from the template index without re-fetching templates', async () => {
+    await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', source: { event_id: 'evt-index-1' } })
+      .expect(200);
+
+    expect(mockNotion.pages.update).toHaveBeenCalledWith({
+      page_id: 'story-1',
+      properties: { Blocking: { relation: [{ id: 'story-2' }, { id: 'story-3' }] } }
+    });
+    expect(mockNotion.pages.update).toHaveBeenCalledWith({
+      page_id: 'story-3',
+      properties: { 'Blocked by': { relation: [{ id: 'story-1' }] } }
+    });
+    expect(mockNotion.pages.properties.retrieve).toHaveBeenCalledWith(
+      expect.objectContaining({ page_id: 'tpl-1', property_id: 'prop-blocking', start_cursor: 'cursor-2' })
+    );
+    // The epic and the templates are fetched once for the run, not again for the copy
+    const retrieved = mockNotion.pages.retrieve.mock.calls.map(([args]) => args.page_id);
+    expect(retrieved).toEqual(['epic-1']);
+    const templateQueries = mockNotion.databases.query.mock.calls.filter(([args]) => args.database_id === 'workflows-db');
+    expect(templateQueries).toHaveLength(1);
+  });
+});
+
+describe('Pagination', () => {
+  // databases.query mock that serves `items` in pages of page_size
+  const paginated = (items) => async ({ start_cursor, page_size = 100 }) => {
+    const start = start_cursor ? parseInt(start_cursor, 10) : 0;
+    const end = start + page_size;
+    return {
+      results: items.slice(start, end),
+      has_more: end < items.length,
+      next_cursor: end < items.length ? String(end) : null
+    };
+  };
+
+  test('copies every template of workflows with more than 100 templates', async () => {
+    const templates = Array.from({ length: 150 }, (_, i) => page(`tpl-${i}`, `Task ${i}`));
+    mockNotion.pages.retrieve.mockResolvedValue(page('epic-1', 'Spring Batch'));
+    mockNotion.databases.query.mockImplementation(paginated(templates));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Title: {}, Epic: {} } });
+
+    const response = await request(app)
+      .post('/webhook/notion?dryRun=true')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', targetDate: '2024-03-10' })
+      .expect(200);
+
+    expect(response.body.workflows[0].stories).toHaveLength(150);
+    expect(response.body.workflows[0].stories[149].templateName).toBe('Task 149');
+  });
+
+  test('creates sends for every channel of projects with more than 100 channels', async () => {
+    const channels = Array.from({ length: 130 }, (_, i) => page(`channel-${i}`, `Channel ${i}`));
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-p', 'Launch', {
+      Projects: { relation: [{ id: 'project-1' }] }
+    }));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Projects: { type: 'relation' } } });
+    mockNotion.databases.query.mockImplementation(async (params) =>
+      paginated(params.database_id === 'channels-db' ? channels : [])(params)
+    );
+    mockNotion.pages.create.mockResolvedValue({ id: 'send' });
+    mockNotion.blocks.children.list.mockResolvedValue({ results: [], has_more: false });
+    mockNotion.blocks.children.append.mockResolvedValue({ results: [] });
+
+    const response = await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ storyId: 'story-p' })
+      .expect(200);
+
+    expect(response.body.channelsFound).toBe(130);
+    expect(response.body.sendsCreated).toBe(130);
+  });
+});
+
+describe('Promo send channel relations', () => {
+  // Promo Send page, optionally linked to a channel
+  const send = (id, name, channelId) => page(id, name, channelId ? { Channel: { relation: [{ id: channelId }] } } : {});
+  let sends;
+  let channels;
+
+  beforeEach(() => {
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-c', 'Launch', { Projects: { relation: [{ id: 'project-1' }] } }));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Projects: { type: 'relation' } } });
+    mockNotion.databases.query.mockImplementation(async ({ database_id }) => ({
+      results: database_id === 'sends-db' ? sends : channels,
+      has_more: false
+    }));
+    mockNotion.pages.create.mockResolvedValue({ id: 'created-page' });
+    mockNotion.pages.update.mockResolvedValue({});
+  });
+
+  const sync = (storyId) => request(app)
+    .post('/webhook/promo-sends')
+    .set('X-Webhook-Token', 'test-promo-secret')
+    .send({ storyId })
+    .expect(200);
+
+  test('dedupes by channel ID, so renamed channels are not sent twice', async () => {
+    sends = [send('send-1', 'Old name', 'channel-1')];
+    channels = [page('channel-1', 'New name'), page('channel-2', 'Podcast')];
+
+    const response = await sync('story-c1');
+
+    expect(response.body.sendsCreated).toBe(1);
+    expect(mockNotion.pages.create).toHaveBeenCalledTimes(1);
+    expect(mockNotion.pages.create.mock.calls[0][0].properties.Channel).toEqual({ relation: [{ id: 'channel-2' }] });
+  });
+
+  test('reverse sync links hand-added sends instead of creating phantom channels', async () => {
+    sends = [send('send-1', 'Podcast'), send('send-2', 'Newsletter'), send('send-3', 'Social')];
+    channels = [page('channel-1', 'Podcast'), page('channel-2', 'Social'), page('channel-3', 'Social')];
+
+    const response = await sync('story-c2');
+
+    expect(response.body.channelsPushedToChannelsDB).toBe(1);
+    expect(response.body.sendsLinkedToChannels).toBe(2);
+    expect(response.body.ambiguousSends).toEqual([{ sendId: 'send-3', name: 'Social', channelIds: ['channel-2', 'channel-3'] }]);
+    expect(mockNotion.pages.update).toHaveBeenCalledWith({ page_id: 'send-1', properties: { Channel: { relation: [{ id: 'channel-1' }] } } });
+    expect(mockNotion.pages.update).toHaveBeenCalledWith({ page_id: 'send-2', properties: { Channel: { relation: [{ id: 'created-page' }] } } });
+  });
+
+  test('backfill links unambiguous sends and reports the rest', async () => {
+    sends = [send('send-1', 'Email'), send('send-2', 'Social'), send('send-3', 'Zine')];
+    channels = [page('channel-1', 'Email'), page('channel-2', 'Social'), page('channel-3', 'Social')];
+
+    const preview = await request(app)
+      .post('/promo-sends/backfill-channels?dryRun=true')
+      .set('X-Admin-Key', 'test-admin-key')
+      .expect(200);
+    expect(preview.body.linked).toBe(1);
+    expect(mockNotion.pages.update).not.toHaveBeenCalled();
+
+    const response = await request(app)
+      .post('/promo-sends/backfill-channels')
+      .set('X-Admin-Key', 'test-admin-key')
+      .expect(200);
+
+    expect(response.body).toEqual(expect.objectContaining({
+      sendsScanned: 3,
+      linked: 1,
+      ambiguous: [{ sendId: 'send-2', name: 'Social', channelIds: ['channel-2', 'channel-3'] }],
+      unmatched: [{ sendId: 'send-3', name: 'Zine' }]
+    }));
+    expect(mockNotion.pages.update).toHaveBeenCalledWith({ page_id: 'send-1', properties: { Channel: { relation: [{ id: 'channel-1' }] } } });
+    expect(mockNotion.databases.query).toHaveBeenCalledWith(expect.objectContaining({
+      database_id: 'sends-db',
+      filter: { property: 'Channel', relation: { is_empty: true } }
+    }));
+  });
+
+  test('backfill requires the admin key', async () => {
+    await request(app).post('/promo-sends/backfill-channels').expect(401);
+    await request(app).post('/promo-sends/backfill-channels').set('X-Webhook-Token', 'test-promo-secret').expect(401);
+    expect(mockNotion.databases.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('Promo send dates', () => {
+  const text = (value) => ({ rich_text: [{ plain_text: value }] });
+  const channels = [
+    page('channel-1', 'Newsletter', { 'Lead Time': { number: 14 } }),
+    page('channel-2', 'Instagram', { 'Lead Time': text('2 weeks before event'), 'Send Window': text('9am-11:30') }),
+    page('channel-3', 'Launch post')
+  ];
+  let sends;
+
+  beforeEach(() => {
+    sends = [];
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-d', 'Launch', {
+      Projects: { relation: [{ id: 'project-1' }] },
+      'Event Date': { date: { start: '2024-05-20' } }
+    }));
+    mockNotion.databases.retrieve.mockResolvedValue({
+      properties: { Projects: { type: 'relation' }, 'Send Date': { type: 'date' } }
+    });
+    mockNotion.databases.query.mockImplementation(async ({ database_id }) => ({
+      results: database_id === 'sends-db' ? sends : channels,
+      has_more: false
+    }));
+    mockNotion.pages.create.mockResolvedValue({ id: 'send-new' });
+    mockNotion.pages.update.mockResolvedValue({});
+  });
+
+  const sync = (storyId) => request(app)
+    .post('/webhook/promo-sends')
+    .set('X-Webhook-Token', 'test-promo-secret')
+    .send({ storyId })
+    .expect(200);
+
+  test('sets each new send\'s date from the channel lead time and window', async () => {
+    await sync('story-d1');
+
+    const sendDates = mockNotion.pages.create.mock.calls.map(([args]) => args.properties['Send Date'].date);
+    expect(sendDates).toEqual([
+      { start: '2024-05-06', end: null },
+      { start: '2024-05-06T09:00:00', end: '2024-05-06T11:30:00' },
+      { start: '2024-05-20', end: null }
+    ]);
+  });
+
+  test('re-sync moves unsent sends and leaves sent ones alone', async () => {
+    sends = [
+      page('send-1', 'Newsletter', { Channel: { relation: [{ id: 'channel-1' }] }, 'Send Date': { date: { start: '2024-05-01' } }, Sent: { checkbox: false } }),
+      page('send-2', 'Launch post', { Channel: { relation: [{ id: 'channel-3' }] }, 'Send Date': { date: { start: '2024-05-13' } }, Sent: { checkbox: true } }),
+      page('send-3', 'Instagram', { Channel: { relation: [{ id: 'channel-2' }] }, 'Send Date': { date: { start: '2024-05-06T09:00:00.000+00:00', end: '2024-05-06T11:30:00.000+00:00', time_zone: null } } })
+    ];
+
+    const response = await sync('story-d2');
+
+    expect(response.body.sendDatesUpdated).toBe(1);
+    expect(mockNotion.pages.update).toHaveBeenCalledTimes(1);
+    expect(mockNotion.pages.update).toHaveBeenCalledWith({
+      page_id: 'send-1',
+      properties: { 'Send Date': { date: { start: '2024-05-06', end: null } } }
+    });
+    expect(mockNotion.pages.create).not.toHaveBeenCalled();
+  });
+
+  test('leaves send dates alone when the Sends DB has no Send Date property', async () => {
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Projects: { type: 'relation' } } });
+    sends = [
+      page('send-1', 'Newsletter', { Channel: { relation: [{ id: 'channel-1' }] }, Sent: { checkbox: false } })
+    ];
+
+    const response = await sync('story-d3');
 
-    expect(response.body.error).toBe('No epic ID provided in webhook');
+    expect(response.body.sendDatesUpdated).toBe(0);
+    expect(mockNotion.pages.update).not.toHaveBeenCalled();
   });
 });
 
-// Note: This test file requires supertest for testing
-// Run with: npm test (after installing supertest as dev dependency)
+describe('Promo send pruning', () => {
+  let sends;
+
+  beforeEach(() => {
+    sends = [
+      page('send-1', 'Newsletter', { Channel: { relation: [{ id: 'channel-1' }] }, Sent: { checkbox: false } }),
+      page('send-2', 'Podcast', { Channel: { relation: [{ id: 'channel-9' }] }, Sent: { checkbox: false } }),
+      page('send-3', 'Radio', { Channel: { relation: [{ id: 'channel-8' }] }, Sent: { checkbox: true } })
+    ];
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-p', 'Launch', {
+      Projects: { relation: [{ id: 'project-1' }] }
+    }));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Projects: { type: 'relation' }, Sent: { type: 'checkbox' } } });
+    mockNotion.databases.query.mockImplementation(async ({ database_id }) => ({
+      results: database_id === 'sends-db' ? sends : [page('channel-1', 'Newsletter')],
+      has_more: false
+    }));
+    mockNotion.pages.update.mockResolvedValue({});
+  });
+
+  test('archives unsent sends for removed channels and keeps sent ones', async () => {
+    const response = await request(app)
+      .post('/webhook/promo-sends?prune=true')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ storyId: 'story-p1' })
+      .expect(200);
+
+    expect(response.body.pruned).toEqual([{ sendId: 'send-2', name: 'Podcast', channelId: 'channel-9' }]);
+    expect(response.body.kept).toEqual([
+      { sendId: 'send-3', name: 'Radio', channelId: 'channel-8', reason: 'Already sent' }
+    ]);
+    expect(mockNotion.pages.update).toHaveBeenCalledTimes(1);
+    expect(mockNotion.pages.update).toHaveBeenCalledWith({ page_id: 'send-2', archived: true });
+  });
+
+  test('aborts without archiving when the Channels DB has no projects relation', async () => {
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Name: { type: 'title' } } });
+
+    const response = await request(app)
+      .post('/webhook/promo-sends?prune=true')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ storyId: 'story-p3' })
+      .expect(400);
+
+    expect(response.body.error).toMatch(/Prune aborted, nothing archived: the Channels DB has no projects relation/);
+    expect(mockNotion.pages.update).not.toHaveBeenCalled();
+  });
+
+  test('aborts without archiving when the Sends DB has no Sent property', async () => {
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Projects: { type: 'relation' } } });
+
+    const response = await request(app)
+      .post('/webhook/promo-sends?prune=true')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ storyId: 'story-p4' })
+      .expect(400);
+
+    expect(response.body.error).toMatch(/Prune aborted, nothing archived: the Promo Sends DB has no "Sent" property/);
+    expect(mockNotion.pages.update).not.toHaveBeenCalled();
+  });
+
+  test('leaves stale sends alone without prune mode', async () => {
+    const response = await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ storyId: 'story-p2' })
+      .expect(200);
+
+    expect(response.body.pruned).toBeUndefined();
+    expect(mockNotion.pages.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('Promo sends checklist', () => {
+  const checklistText = 'Promo Sends — kept in sync automatically, edits here are overwritten';
+  const checklistCallout = { id: 'checklist', type: 'callout', callout: { rich_text: [{ plain_text: checklistText }] } };
+  let storyBlocks;
+  let checklistItems;
+
+  // A checklist to-do as the API lists it
+  function todo(id, sendId, dateText, checked = false) {
+    const richText = [{ type: 'mention', mention: { page: { id: sendId } }, plain_text: sendId }];
+    if (dateText) richText.push({ type: 'text', plain_text: dateText });
+    return { id, type: 'to_do', to_do: { rich_text: richText, checked } };
+  }
+
+  beforeEach(() => {
+    storyBlocks = [{ id: 'block-intro', type: 'paragraph', paragraph: { rich_text: [] } }];
+    checklistItems = [{ id: 'item-old', type: 'to_do', to_do: { rich_text: [], checked: false } }];
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-l', 'Launch', { Projects: { relation: [] } }));
+    mockNotion.databases.query.mockImplementation(async ({ database_id }) => ({
+      results: database_id === 'sends-db' ? [
+        page('send-2', 'Podcast', { Channel: { relation: [{ id: 'channel-2' }] }, 'Send Date': { date: { start: '2024-05-10' } } }),
+        page('send-1', 'Newsletter', { Channel: { relation: [{ id: 'channel-1' }] }, 'Send Date': { date: { start: '2024-05-06' } }, Sent: { checkbox: true } })
+      ] : [],
+      has_more: false
+    }));
+    mockNotion.blocks.children.list.mockImplementation(async ({ block_id }) => ({
+      results: block_id === 'checklist' ? checklistItems : storyBlocks,
+      has_more: false
+    }));
+    mockNotion.blocks.children.append.mockResolvedValue({ results: [{ id: 'checklist' }] });
+  });
+
+  const sync = (storyId) => request(app)
+    .post('/webhook/promo-sends')
+    .set('X-Webhook-Token', 'test-promo-secret')
+    .send({ storyId })
+    .expect(200);
+
+  test('adds a checklist of the story\'s sends, ordered by send date', async () => {
+    const response = await sync('story-l1');
+
+    expect(response.body.linkedViewAdded).toBe(false);
+    expect(response.body.sendsChecklist).toEqual({ created: true, items: 2, added: 2, updated: 0, removed: 0 });
+    const [[callout], [items]] = mockNotion.blocks.children.append.mock.calls;
+    expect(callout.block_id).toBe('story-l1');
+    expect(callout.children[0].callout.rich_text[0].text.content).toBe(checklistText);
+    expect(items.block_id).toBe('checklist');
+    expect(items.children.map(item => [item.to_do.rich_text[0].mention.page.id, item.to_do.checked]))
+      .toEqual([['send-1', true], ['send-2', false]]);
+  });
+
+  test('fills the existing checklist instead of adding another, removing stray blocks', async () => {
+    storyBlocks.push(checklistCallout);
+
+    const response = await sync('story-l2');
+
+    expect(response.body.sendsChecklist).toEqual({ created: false, items: 2, added: 2, updated: 0, removed: 1 });
+    expect(mockNotion.blocks.delete).toHaveBeenCalledWith({ block_id: 'item-old' });
+    expect(mockNotion.blocks.children.append).toHaveBeenCalledTimes(1);
+    expect(mockNotion.blocks.children.append.mock.calls[0][0].block_id).toBe('checklist');
+  });
+
+  test('writes nothing when the checklist is already up to date', async () => {
+    storyBlocks.push(checklistCallout);
+    checklistItems = [todo('item-1', 'send-1', ' · 2024-05-06', true), todo('item-2', 'send-2', ' · 2024-05-10')];
+
+    const response = await sync('story-l3');
+
+    expect(response.body.sendsChecklist).toEqual({ created: false, items: 2, added: 0, updated: 0, removed: 0 });
+    expect(mockNotion.blocks.children.append).not.toHaveBeenCalled();
+    expect(mockNotion.blocks.update).not.toHaveBeenCalled();
+    expect(mockNotion.blocks.delete).not.toHaveBeenCalled();
+  });
+
+  test('updates only changed to-dos, keeps hand-ticked ones ticked and adds new sends in order', async () => {
+    storyBlocks.push(checklistCallout);
+    // send-2's date moved and was ticked by hand; send-1 has no to-do yet; send-9 is gone
+    checklistItems = [todo('item-9', 'send-9', ' · 2024-05-01'), todo('item-2', 'send-2', ' · 2024-05-08', true)];
+    mockNotion.blocks.children.append.mockResolvedValue({ results: [{ id: 'item-1' }] });
+
+    const response = await sync('story-l4');
+
+    expect(response.body.sendsChecklist).toEqual({ created: false, items: 2, added: 1, updated: 1, removed: 1 });
+    expect(mockNotion.blocks.delete).toHaveBeenCalledWith({ block_id: 'item-9' });
+    expect(mockNotion.blocks.update).toHaveBeenCalledWith({
+      block_id: 'item-2',
+      to_do: { rich_text: [{ type: 'mention', mention: { page: { id: 'send-2' } } }, { type: 'text', text: { content: ' · 2024-05-10' } }], checked: true }
+    });
+    const [[added]] = mockNotion.blocks.children.append.mock.calls;
+    expect(added.children.map(item => item.to_do.rich_text[0].mention.page.id)).toEqual(['send-1']);
+  });
+
+  test('inserts a new to-do after the send before it', async () => {
+    storyBlocks.push(checklistCallout);
+    checklistItems = [todo('item-1', 'send-1', ' · 2024-05-06', true)];
+    mockNotion.blocks.children.append.mockResolvedValue({ results: [{ id: 'item-2' }] });
+
+    await sync('story-l5');
+
+    expect(mockNotion.blocks.children.append).toHaveBeenCalledTimes(1);
+    expect(mockNotion.blocks.children.append.mock.calls[0][0]).toEqual(expect.objectContaining({ block_id: 'checklist', after: 'item-1' }));
+  });
+});
+
+describe('Promo digest', () => {
+  const dayKey = (offset) => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const soon = dayKey(5);
+  const later = dayKey(30);
+
+  beforeEach(() => {
+    mockNotion.databases.query.mockImplementation(async ({ database_id, filter }) => {
+      if (database_id === 'sends-db') {
+        expect(filter).toEqual({ property: 'Sent', checkbox: { equals: false } });
+        return {
+          results: [
+            page('send-1', 'Newsletter', { Story: { relation: [{ id: 'story-late' }] }, Channel: { relation: [{ id: 'channel-1' }] } }),
+            page('send-2', 'Newsletter', { Story: { relation: [{ id: 'story-soon' }] }, Channel: { relation: [{ id: 'channel-1' }] }, 'Send Date': { date: { start: dayKey(1) } } }),
+            page('send-3', 'Radio', { Story: { relation: [{ id: 'story-soon' }] }, Channel: { relation: [{ id: 'channel-2' }] } })
+          ],
+          has_more: false
+        };
+      }
+      return { results: [page('channel-1', 'Newsletter'), page('channel-2', 'Radio, local')], has_more: false };
+    });
+    mockNotion.pages.retrieve.mockImplementation(async ({ page_id }) => page_id === 'story-soon'
+      ? page('story-soon', 'Spring Fair', { 'Event Date': { date: { start: soon } } })
+      : page('story-late', 'Summer Gala', { 'Event Date': { date: { start: later } } }));
+  });
+
+  const digest = (format) => request(app)
+    .get(`/promo-sends/digest${format ? `?format=${format}` : ''}`)
+    .set('X-Webhook-Token', 'test-promo-secret');
+
+  test('groups unsent sends by story and channel with days remaining', async () => {
+    const response = await digest().expect(200);
+
+    expect(response.body.totalUnsent).toBe(3);
+    expect(response.body.byStory.map(group => [group.story, group.eventDate, group.daysRemaining, group.count]))
+      .toEqual([['Spring Fair', soon, 5, 2], ['Summer Gala', later, 30, 1]]);
+    expect(response.body.byChannel.map(group => [group.channel, group.count]))
+      .toEqual([['Newsletter', 2], ['Radio, local', 1]]);
+    expect(mockNotion.pages.retrieve).toHaveBeenCalledTimes(2);
+  });
+
+  test('renders CSV and Markdown', async () => {
+    const csv = await digest('csv').expect(200).expect('Content-Type', /text\/csv/);
+    expect(csv.text.split('\r\n')).toEqual([
+      'Story,Event Date,Days Remaining,Channel,Send,Send Date,Send ID',
+      `Spring Fair,${soon},5,Newsletter,Newsletter,${dayKey(1)},send-2`,
+      `Spring Fair,${soon},5,"Radio, local",Radio,,send-3`,
+      `Summer Gala,${later},30,Newsletter,Newsletter,,send-1`,
+      ''
+    ]);
+
+    const markdown = await digest('md').expect(200).expect('Content-Type', /text\/markdown/);
+    expect(markdown.text).toContain(`### Spring Fair (${soon}, in 5 days)\n\n- [ ] Newsletter — send ${dayKey(1)}\n- [ ] Radio, local`);
+    expect(markdown.text).toContain(`### Newsletter (2)\n\n- [ ] Spring Fair — event ${soon}, in 5 days`);
+  });
+
+  test('rejects unknown formats', async () => {
+    await digest('xml').expect(400);
+    expect(mockNotion.databases.query).not.toHaveBeenCalled();
+  });
+  test('needs the promo webhook secret or the admin key', async () => {
+    await request(app).get('/promo-sends/digest').expect(401);
+    await request(app).get('/promo-sends/digest').set('X-Webhook-Token', 'test-notion-secret').expect(401);
+    expect(mockNotion.databases.query).not.toHaveBeenCalled();
+
+    await request(app).get('/promo-sends/digest').set('X-Admin-Key', 'test-admin-key').expect(200);
+  });
+});
+
+describe('Bulk promo sync', () => {
+  const stories = [
+    page('story-1', 'Spring launch', { Projects: { relation: [{ id: 'project-1' }] } }),
+    page('story-2', 'Summer launch', { Projects: { relation: [{ id: 'project-1' }] } })
+  ];
+
+  beforeEach(() => {
+    mockNotion.databases.retrieve.mockResolvedValue({
+      properties: { Projects: { type: 'relation' }, 'Event Date': { type: 'date' } }
+    });
+    mockNotion.databases.query.mockImplementation(async ({ database_id, filter }) => {
+      if (database_id === 'promo-stories-db') return { results: stories, has_more: false };
+      if (database_id === 'channels-db') return { results: [page('channel-1', 'Newsletter')], has_more: false };
+      if (filter?.relation?.contains === 'story-2') throw Object.assign(new Error('boom'), { code: 'validation_error', status: 400 });
+      return { results: [], has_more: false };
+    });
+    mockNotion.pages.create.mockResolvedValue({ id: 'send-new' });
+  });
+
+  test('syncs every matching story and reports per story', async () => {
+    const response = await request(app)
+      .post('/promo-sends/sync-all')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ upcoming: true, projects: ['project-1'] })
+      .expect(200);
+
+    expect(response.body).toEqual(expect.objectContaining({ storiesMatched: 2, storiesSynced: 1, storiesFailed: 1, sendsCreated: 1 }));
+    expect(response.body.stories).toEqual([
+      expect.objectContaining({ storyId: 'story-1', storyName: 'Spring launch', success: true, sendsCreated: 1 }),
+      expect.objectContaining({ storyId: 'story-2', success: false, error: 'boom' })
+    ]);
+
+    const storiesQuery = mockNotion.databases.query.mock.calls.find(([args]) => args.database_id === 'promo-stories-db')[0];
+    expect(storiesQuery.filter.and).toEqual([
+      { property: 'Event Date', date: { on_or_after: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/) } },
+      { or: [{ property: 'Projects', relation: { contains: 'project-1' } }] }
+    ]);
+    // Story pages come from the query, not one retrieve each
+    expect(mockNotion.pages.retrieve).not.toHaveBeenCalled();
+  });
+
+  test('requires the promo webhook secret', async () => {
+    await request(app).post('/promo-sends/sync-all').send({}).expect(401);
+  });
+});
+
+describe('Scheduler', () => {
+  async function getSchedule(name) {
+    const response = await request(app).get('/schedules').set('X-Admin-Key', 'test-admin-key').expect(200);
+    return response.body.schedules.find(schedule => schedule.name === name);
+  }
+
+  test('lists schedules with their next run time', async () => {
+    const nightly = await getSchedule('nightly-promo');
+    const nextRun = new Date(nightly.nextRunAt);
+    expect([nextRun.getHours(), nextRun.getMinutes()]).toEqual([3, 30]);
+    expect(nextRun.getTime()).toBeGreaterThan(Date.now());
+    expect(nextRun.getTime() - Date.now()).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+
+    const acme = await getSchedule('acme-story');
+    const acmeRun = new Date(acme.nextRunAt);
+    expect(acmeRun.getDay()).toBeGreaterThanOrEqual(1);
+    expect(acmeRun.getDay()).toBeLessThanOrEqual(5);
+    expect(acmeRun.getMinutes() % 15).toBe(0);
+    expect(acme).toEqual(expect.objectContaining({ workspace: 'acme', lastRunAt: null, running: false }));
+  });
+
+  test('does not start a run while the previous one is still going', async () => {
+    let finishQuery;
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { 'Event Date': { type: 'date' } } });
+    mockNotion.databases.query.mockImplementation(() => new Promise(resolve => {
+      finishQuery = () => resolve({ results: [], has_more: false });
+    }));
+
+    await request(app).post('/schedules/nightly-promo/run').set('X-Admin-Key', 'test-admin-key').expect(202);
+    await request(app).post('/schedules/nightly-promo/run').set('X-Admin-Key', 'test-admin-key').expect(409);
+
+    const running = await getSchedule('nightly-promo');
+    expect(running).toEqual(expect.objectContaining({ running: true, skippedRuns: 1 }));
+
+    while (!finishQuery) await new Promise(resolve => setImmediate(resolve));
+    finishQuery();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const finished = await getSchedule('nightly-promo');
+    expect(finished).toEqual(expect.objectContaining({ running: false, lastStatus: 'completed' }));
+    expect(finished.lastResult.storiesMatched).toBe(0);
+  });
+
+  test('manual runs need the admin key', async () => {
+    await request(app).post('/schedules/acme-story/run').expect(401);
+    await request(app).post('/schedules/acme-story/run').set('X-Webhook-Token', 'acme-promo-secret').expect(401);
+    await request(app).post('/schedules/nope/run').expect(401);
+    await request(app).post('/schedules/nope/run').set('X-Admin-Key', 'test-admin-key').expect(404);
+  });
+});
+
+describe('Outbound webhooks', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 });
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-o', 'Launch', { Projects: { relation: [] } }));
+    mockNotion.databases.query.mockResolvedValue({ results: [], has_more: false });
+    mockNotion.blocks.children.list.mockResolvedValue({ results: [], has_more: false });
+    mockNotion.blocks.children.append.mockResolvedValue({ results: [{ id: 'checklist' }] });
+  });
+
+  afterEach(() => fetchSpy.mockRestore());
+
+  async function waitFor(check) {
+    for (let i = 0; i < 100 && !check(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+
+  const sync = (storyId) => request(app).post('/w/ops/webhook/promo-sends').set('X-Webhook-Token', 'ops-promo-secret').send({ storyId });
+
+  test('posts a signed event with the run summary to matching subscribers', async () => {
+    await sync('story-o1').expect(200);
+    await waitFor(() => fetchSpy.mock.calls.length > 0);
+
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    const [url, { headers, body }] = fetchSpy.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/koii');
+    expect(headers['X-Koii-Event']).toBe('promo_sync.completed');
+
+    const [, timestamp, v1] = /^t=(\d+),v1=(\w+)$/.exec(headers['X-Koii-Signature']);
+    expect(v1).toBe(crypto.createHmac('sha256', 'outbound-secret').update(`${timestamp}.${body}`).digest('hex'));
+
+    const event = JSON.parse(body);
+    expect(event).toEqual(expect.objectContaining({ type: 'promo_sync.completed', workspace: 'ops', trigger: 'webhook' }));
+    expect(event.data).toEqual(expect.objectContaining({ storyId: 'story-o1', sendsCreated: 0 }));
+  });
+
+  test('sends failures to Slack subscribers as a message', async () => {
+    mockNotion.pages.retrieve.mockRejectedValue(Object.assign(new Error('Story is gone'), { code: 'object_not_found' }));
+
+    await sync('story-o2').expect(500);
+    await waitFor(() => fetchSpy.mock.calls.length > 1);
+
+    const slack = fetchSpy.mock.calls.find(([url]) => url.startsWith('https://hooks.slack.example'));
+    expect(JSON.parse(slack[1].body)).toEqual({
+      text: '❌ *Promo sync failed* in workspace `ops`\n> Story is gone'
+    });
+    expect(slack[1].headers['X-Koii-Signature']).toBeUndefined();
+  });
+
+  test('retries failed deliveries, then dead-letters them for redelivery', async () => {
+    fetchSpy.mockResolvedValue({ ok: false, status: 503 });
+
+    await sync('story-o3').expect(200);
+    await waitFor(() => fetchSpy.mock.calls.length >= 5);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(fetchSpy).toHaveBeenCalledTimes(5);
+
+    const list = await request(app).get('/webhooks/dead-letters').set('X-Admin-Key', 'test-admin-key').expect(200);
+    const letter = list.body.deadLetters.find(entry => entry.event.data.storyId === 'story-o3');
+    expect(letter).toEqual(expect.objectContaining({ subscription: 'ops-promo', attempts: 5, error: 'HTTP 503' }));
+
+    fetchSpy.mockResolvedValue({ ok: true, status: 200 });
+    await request(app).post(`/webhooks/dead-letters/${letter.id}/retry`).set('X-Admin-Key', 'test-admin-key').expect(202);
+    await waitFor(() => fetchSpy.mock.calls.length >= 6);
+
+    const after = await request(app).get('/webhooks/dead-letters').set('X-Admin-Key', 'test-admin-key').expect(200);
+    expect(after.body.deadLetters.find(entry => entry.id === letter.id)).toBeUndefined();
+  });
+});
+
+describe('Run history', () => {
+  beforeEach(() => {
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-h', 'Launch', { Projects: { relation: [{ id: 'project-1' }] } }));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Projects: { type: 'relation' } } });
+    mockNotion.databases.query.mockImplementation(async ({ database_id }) => ({
+      results: database_id === 'sends-db' ? [] : [page('channel-1', 'Newsletter')],
+      has_more: false
+    }));
+    mockNotion.pages.create.mockResolvedValue({ id: 'send-h' });
+    mockNotion.blocks.children.list.mockResolvedValue({ results: [], has_more: false });
+    mockNotion.blocks.children.append.mockResolvedValue({ results: [{ id: 'checklist' }] });
+  });
+
+  const sync = (storyId) => request(app)
+    .post('/webhook/promo-sends?token=test-promo-secret')
+    .send({ storyId, extra: 'ignored' });
+
+  test('records the input, steps and pages of each webhook run', async () => {
+    await sync('story-h1').expect(200);
+
+    const list = await request(app).get('/runs?endpoint=webhook/promo-sends&status=completed').set('X-Admin-Key', 'test-admin-key').expect(200);
+    const listed = list.body.runs[0];
+    expect(listed).toEqual(expect.objectContaining({ status: 'completed', httpStatus: 200, workspace: 'default', pagesCreated: 1 }));
+    expect(listed.durationMs).toBeGreaterThanOrEqual(0);
+
+    const run = (await request(app).get(`/runs/${listed.id}`).set('X-Admin-Key', 'test-admin-key').expect(200)).body;
+    expect(run.input).toEqual({ storyId: 'story-h1', prune: false });
+    expect(run.steps.map(step => step.step)).toEqual(['reverse-sync', 'forward-sync', 'send-dates', 'checklist']);
+    expect(run.pagesCreated).toEqual(['send-h']);
+    expect(run.summary.sendsCreated).toBe(1);
+  });
+
+  test('records failed runs with their error', async () => {
+    mockNotion.pages.retrieve.mockRejectedValue(Object.assign(new Error('Could not find page'), { code: 'object_not_found' }));
+    await sync('story-h2').expect(500);
+
+    const list = await request(app).get('/runs?endpoint=webhook/promo-sends&status=failed').set('X-Admin-Key', 'test-admin-key').expect(200);
+    const run = (await request(app).get(`/runs/${list.body.runs[0].id}`).set('X-Admin-Key', 'test-admin-key').expect(200)).body;
+    expect(run.input).toEqual({ storyId: 'story-h2', prune: false });
+    expect(run.errors).toEqual([{ message: 'Promo sends failed', details: 'Could not find page' }]);
+  });
+
+  test('stores compact summaries, with log lines in their own file', async () => {
+    mockNotion.pages.retrieve.mockResolvedValue(page('epic-1', 'Spring Batch'));
+    mockNotion.databases.query.mockResolvedValue({
+      results: [page('tpl-1', 'Order labels', { Date: { date: { start: '2024-01-01' } } })],
+      has_more: false
+    });
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Title: {}, Date: {}, Epic: {} } });
+    mockNotion.pages.create.mockResolvedValue({ id: 'story-h4' });
+
+    await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .set('X-Request-Id', 'trace-compact')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', targetDate: '2024-03-01' })
+      .expect(200);
+
+    const list = await request(app).get('/runs?requestId=trace-compact').set('X-Admin-Key', 'test-admin-key').expect(200);
+    const run = (await request(app).get(`/runs/${list.body.runs[0].id}`).set('X-Admin-Key', 'test-admin-key').expect(200)).body;
+    expect(run.summary.results[0]).toEqual(expect.objectContaining({ pagesCopied: 1, workflowPagesCount: 1, templateToPageMapCount: 1 }));
+    expect(run.summary.results[0].workflowPages).toBeUndefined();
+    expect(run.logLines).toBeGreaterThan(0);
+
+    // Writes are asynchronous: wait for the record and the log file to land
+    const historyFile = path.join(process.env.DATA_DIR, 'run-history.json');
+    const logFile = path.join(process.env.DATA_DIR, 'run-logs', `${run.id}.jsonl`);
+    const readStored = () => JSON.parse(fs.readFileSync(historyFile, 'utf8'))[run.id];
+    for (let i = 0; i < 50 && !(fs.existsSync(logFile) && readStored()?.status === 'completed'); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    const stored = readStored();
+    expect(stored.status).toBe('completed');
+    expect(stored.logs).toBeUndefined();
+    expect(fs.readFileSync(logFile, 'utf8').split('\n')).toHaveLength(run.logLines);
+
+    const logs = await request(app).get(`/runs/${run.id}/logs`).set('X-Admin-Key', 'test-admin-key').expect(200);
+    expect(logs.body.logs).toHaveLength(run.logLines);
+  });
+
+  test('filters by date and rejects bad filters', async () => {
+    await sync('story-h3').expect(200);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const todays = await request(app).get(`/runs?from=${today}&to=${today}`).set('X-Admin-Key', 'test-admin-key').expect(200);
+    expect(todays.body.total).toBeGreaterThan(0);
+    const old = await request(app).get('/runs?to=2000-01-01').set('X-Admin-Key', 'test-admin-key').expect(200);
+    expect(old.body.total).toBe(0);
+
+    await request(app).get('/runs?status=nope').set('X-Admin-Key', 'test-admin-key').expect(400);
+    await request(app).get('/runs?from=someday').set('X-Admin-Key', 'test-admin-key').expect(400);
+    await request(app).get('/runs/nope').set('X-Admin-Key', 'test-admin-key').expect(404);
+  });
+});
+
+describe('Logging', () => {
+  beforeEach(() => {
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-g', 'Launch', { Projects: { relation: [] } }));
+    mockNotion.databases.query.mockResolvedValue({ results: [], has_more: false });
+    mockNotion.blocks.children.list.mockResolvedValue({ results: [], has_more: false });
+    mockNotion.blocks.children.append.mockResolvedValue({ results: [{ id: 'checklist' }] });
+  });
+
+  test('tags responses with a request ID, keeping the caller\'s', async () => {
+    const generated = await request(app).get('/health').expect(200);
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+    const given = await request(app).get('/health').set('X-Request-Id', 'trace-42').expect(200);
+    expect(given.headers['x-request-id']).toBe('trace-42');
+  });
+
+  test('keeps redacted log lines per run', async () => {
+    await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .set('X-Request-Id', 'trace-run-1')
+      .send({ storyId: 'story-g1', apiKey: 'abc123', note: 'copied test-promo-secret by mistake' })
+      .expect(200);
+
+    const runs = await request(app).get('/runs?requestId=trace-run-1').set('X-Admin-Key', 'test-admin-key').expect(200);
+    expect(runs.body.total).toBe(1);
+
+    const { body } = await request(app).get(`/runs/${runs.body.runs[0].id}/logs`).set('X-Admin-Key', 'test-admin-key').expect(200);
+    expect(body.requestId).toBe('trace-run-1');
+    expect(body.logs.every(entry => entry.requestId === 'trace-run-1')).toBe(true);
+
+    const bodyLine = body.logs.find(entry => entry.msg.startsWith('Request body:'));
+    expect(bodyLine.level).toBe('debug');
+    expect(bodyLine.msg).toContain("apiKey: '[REDACTED]'");
+    expect(bodyLine.msg).toContain('copied [REDACTED] by mistake');
+    expect(JSON.stringify(body.logs)).not.toContain('test-promo-secret');
+    expect(body.logs.some(entry => entry.msg.startsWith('Notion pages.retrieve'))).toBe(true);
+
+    const warnings = await request(app).get(`/runs/${runs.body.runs[0].id}/logs?level=warn`).set('X-Admin-Key', 'test-admin-key').expect(200);
+    expect(warnings.body.logs.every(entry => entry.level === 'warn' || entry.level === 'error')).toBe(true);
+  });
+
+  test('logs warnings at warn level', async () => {
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-g', 'Launch', { Projects: { relation: [{ id: 'project-1' }] } }));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Name: { type: 'title' } } });
+
+    await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .set('X-Request-Id', 'trace-warn-1')
+      .send({ storyId: 'story-g2' })
+      .expect(200);
+
+    const runs = await request(app).get('/runs?requestId=trace-warn-1').set('X-Admin-Key', 'test-admin-key').expect(200);
+    const { body } = await request(app).get(`/runs/${runs.body.runs[0].id}/logs?level=warn`).set('X-Admin-Key', 'test-admin-key').expect(200);
+    expect(body.logs).toEqual(expect.arrayContaining([
+      expect.objectContaining({ level: 'warn', msg: expect.stringContaining('No projects relation found on DB channels-db') })
+    ]));
+  });
+
+  test('keeps the newest lines and every error of a long run, with structured fields', async () => {
+    const templates = Array.from({ length: 40 }, (_, i) => page(`tpl-l${i}`, `Step ${i}`, { Date: { date: { start: '2024-01-01' } } }));
+    mockNotion.pages.retrieve.mockResolvedValue(page('epic-1', 'Spring Batch'));
+    mockNotion.databases.query.mockResolvedValue({ results: templates, has_more: false });
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Title: {}, Date: {}, Epic: {} } });
+    mockNotion.pages.create
+      .mockRejectedValueOnce(Object.assign(new Error('boom'), { code: 'validation_error' }))
+      .mockImplementation(async () => ({ id: `story-l${mockNotion.pages.create.mock.calls.length}` }));
+
+    await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .set('X-Request-Id', 'trace-long-run')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-long', targetDate: '2024-03-01' })
+      .expect(200);
+
+    const runs = await request(app).get('/runs?requestId=trace-long-run').set('X-Admin-Key', 'test-admin-key').expect(200);
+    const run = (await request(app).get(`/runs/${runs.body.runs[0].id}`).set('X-Admin-Key', 'test-admin-key').expect(200)).body;
+    expect(run.logLinesDropped).toBeGreaterThan(0);
+
+    const { logs } = (await request(app).get(`/runs/${run.id}/logs`).set('X-Admin-Key', 'test-admin-key').expect(200)).body;
+    expect(logs.length).toBe(run.logLines);
+    expect(logs[logs.length - 1]).toEqual(expect.objectContaining({ msg: '🏁 Run completed', status: 'completed', httpStatus: 200 }));
+    expect(logs.find(entry => entry.level === 'error')).toEqual(expect.objectContaining({
+      templateId: 'tpl-l0', workflow: 'New batch', error: 'boom', code: 'validation_error'
+    }));
+    expect(logs.find(entry => entry.msg === '📄 Created story "Spring Batch: Step 39"')).toEqual(expect.objectContaining({
+      templateId: 'tpl-l39', workflow: 'New batch', epicId: 'epic-long', pageId: expect.stringMatching(/^story-l/)
+    }));
+  });
+});
+
+describe('Metrics', () => {
+  async function scrape() {
+    const response = await request(app).get('/metrics').set('X-Admin-Key', 'test-admin-key').expect(200).expect('Content-Type', /text\/plain/);
+    const values = new Map();
+    for (const line of response.text.split('\n')) {
+      const match = /^(\S+) (\S+)$/.exec(line);
+      if (match) values.set(match[1], Number(match[2]));
+    }
+    return { text: response.text, value: (series) => values.get(series) || 0 };
+  }
+
+  beforeEach(() => {
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-m', 'Launch', { Projects: { relation: [{ id: 'project-1' }] } }));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Projects: { type: 'relation' } } });
+    mockNotion.databases.query.mockImplementation(async ({ database_id }) => ({
+      results: database_id === 'sends-db'
+        ? [page('send-m', 'Radio', { Channel: { relation: [{ id: 'channel-2' }] } })]
+        : [page('channel-1', 'Newsletter'), page('channel-2', 'Radio')],
+      has_more: false
+    }));
+    mockNotion.pages.create.mockResolvedValue({ id: 'send-new' });
+    mockNotion.blocks.children.list.mockResolvedValue({ results: [], has_more: false });
+    mockNotion.blocks.children.append.mockResolvedValue({ results: [{ id: 'checklist' }] });
+  });
+
+  test('counts webhook runs, Notion calls and promo sends', async () => {
+    const before = await scrape();
+
+    await request(app).post('/webhook/promo-sends').set('X-Webhook-Token', 'test-promo-secret').send({ storyId: 'story-m1' }).expect(200);
+    mockNotion.pages.retrieve.mockRejectedValue(Object.assign(new Error('Not found'), { code: 'object_not_found' }));
+    await request(app).post('/webhook/promo-sends').set('X-Webhook-Token', 'test-promo-secret').send({ storyId: 'story-m2' }).expect(500);
+
+    const after = await scrape();
+    const delta = (series) => after.value(series) - before.value(series);
+
+    expect(after.text).toContain('# TYPE koii_webhook_duration_seconds histogram');
+    expect(delta('koii_webhook_requests_total{route="webhook/promo-sends",outcome="completed"}')).toBe(1);
+    expect(delta('koii_webhook_requests_total{route="webhook/promo-sends",outcome="failed"}')).toBe(1);
+    expect(delta('koii_webhook_duration_seconds_count{route="webhook/promo-sends",outcome="completed"}')).toBe(1);
+    expect(delta('koii_notion_requests_total{method="pages.retrieve",code="ok"}')).toBe(1);
+    expect(delta('koii_notion_requests_total{method="pages.retrieve",code="object_not_found"}')).toBe(1);
+    expect(delta('koii_notion_request_duration_seconds_count{method="pages.create"}')).toBe(1);
+    expect(delta('koii_promo_sends_total{workspace="default",result="created"}')).toBe(1);
+    expect(delta('koii_promo_sends_total{workspace="default",result="skipped"}')).toBe(1);
+  });
+
+  test('counts rejected and replayed webhook deliveries', async () => {
+    const before = await scrape();
+
+    await request(app).post('/webhook/promo-sends').set('X-Webhook-Token', 'wrong-secret').send({ storyId: 'story-m3' }).expect(401);
+    await request(app).post('/webhook/promo-sends').send({ storyId: 'story-m3' }).expect(401);
+    await request(app).post('/webhook/promo-sends').set('X-Webhook-Token', 'test-promo-secret').send({ storyId: 'story-m3' }).expect(200);
+    await request(app).post('/webhook/promo-sends').set('X-Webhook-Token', 'test-promo-secret').send({ storyId: 'story-m3' })
+      .expect(200).expect('Idempotent-Replay', 'true');
+
+    const after = await scrape();
+    const delta = (series) => after.value(series) - before.value(series);
+
+    expect(delta('koii_webhook_requests_total{route="webhook/promo-sends",outcome="unauthorized"}')).toBe(2);
+    expect(delta('koii_webhook_requests_total{route="webhook/promo-sends",outcome="replay"}')).toBe(1);
+    expect(delta('koii_webhook_requests_total{route="webhook/promo-sends",outcome="completed"}')).toBe(1);
+  });
+});
+
+describe('Schema doctor', () => {
+  const types = (properties) => Object.fromEntries(Object.entries(properties).map(([name, type]) => [name, { type }]));
+  const schemas = {
+    workflows: types({ Name: 'title', Workflow: 'multi_select', Date: 'date', Blocking: 'relation', 'Blocked by': 'relation' }),
+    stories: types({ Title: 'title', Epic: 'relation', Date: 'date', Blocking: 'relation', 'Blocked by': 'relation' }),
+    'promo-stories': types({ Name: 'title', Projects: 'relation', 'Event Date': 'date' }),
+    channels: types({ Name: 'title', Projects: 'relation', 'Lead Time': 'number', 'Send Window': 'rich_text' }),
+    sends: types({ Name: 'title', Story: 'relation', Channel: 'relation', 'Send Date': 'date', Sent: 'checkbox', Projects: 'relation' }),
+    holidays: types({ Name: 'title', Date: 'date' })
+  };
+
+  // Serve every configured database from `schemas`, with per-ID overrides
+  function mockSchemas(overrides = {}) {
+    mockNotion.databases.retrieve.mockImplementation(async ({ database_id }) => {
+      const override = overrides[database_id];
+      if (override instanceof Error) throw override;
+      return { properties: override || schemas[database_id.replace(/^(acme|ops)-/, '').replace(/-db$/, '')] };
+    });
+  }
+
+  test('is not ready until a schema check has run', async () => {
+    await request(app).get('/ready').expect(503, { status: 'starting', message: 'Schema check has not finished yet' });
+    await request(app).get('/doctor').expect(401);
+  });
+
+  test('checks every configured database', async () => {
+    mockSchemas();
+
+    const response = await request(app).get('/doctor').set('X-Admin-Key', 'test-admin-key').expect(200);
+
+    expect(response.body).toMatchObject({ status: 'ok', errors: 0, warnings: 0 });
+    expect(response.body.workspaces.map(entry => entry.workspace)).toEqual(['default', 'acme', 'ops']);
+    expect(response.body.workspaces[2].databases.map(database => database.database))
+      .toEqual(['productWorkflows', 'stories', 'promoChannels', 'promoSends', 'holidays']);
+    expect(mockNotion.databases.retrieve).toHaveBeenCalledTimes(12);
+
+    await request(app).get('/ready').expect(200);
+  });
+
+  test('reports missing and mistyped properties with what to fix', async () => {
+    const notFound = Object.assign(new Error('Could not find database'), { code: 'object_not_found', status: 404 });
+    mockSchemas({
+      'sends-db': types({ Name: 'title', Channel: 'relation', 'Send Date': 'date', Sent: 'checkbox', Projects: 'relation' }),
+      'channels-db': types({ Name: 'title', Tags: 'multi_select' }),
+      'workflows-db': types({ Name: 'title', Workflow: 'multi_select', Date: 'rich_text' }),
+      'ops-sends-db': notFound
+    });
+
+    const response = await request(app).get('/doctor').set('X-Admin-Key', 'test-admin-key').expect(200);
+    expect(response.body.status).toBe('failing');
+
+    const databases = Object.fromEntries(response.body.workspaces.flatMap(entry =>
+      entry.databases.map(database => [`${entry.workspace}/${database.database}`, database])));
+
+    expect(databases['default/promoSends'].issues).toEqual([{
+      severity: 'error',
+      property: 'Story',
+      message: 'No "Story" property; add a relation property named "Story" (used for linking sends to their story)'
+    }]);
+    expect(databases['default/promoSends'].availableProperties).toContain('Channel (relation)');
+    expect(databases['default/promoSends'].setting).toBe('PROMO_SENDS_DB_ID');
+
+    expect(databases['default/promoChannels'].issues[0].message).toMatch(/^None of "🚀 projects", "Projects", .* exists; add a relation property/);
+    expect(databases['default/promoChannels'].issues.filter(issue => issue.severity === 'warning')).toHaveLength(2);
+
+    const workflowIssues = databases['default/productWorkflows'].issues;
+    expect(workflowIssues[0]).toMatchObject({ severity: 'error', property: 'Date', message: expect.stringContaining('"Date" is a rich_text property; change it to date') });
+
+    expect(databases['ops/promoSends']).toMatchObject({
+      setting: 'promoSendsDbId in workspace "ops"',
+      issues: [{ severity: 'error', message: 'Database not found or not shared with the integration; share it with the integration or fix promoSendsDbId in workspace "ops"' }]
+    });
+
+    const ready = await request(app).get('/ready').expect(503);
+    expect(ready.body).toMatchObject({ status: 'not_ready', errors: response.body.errors });
+
+    // Checking one workspace doesn't replace the report /ready uses
+    mockSchemas();
+    const acme = await request(app).get('/doctor?workspace=acme').set('X-Admin-Key', 'test-admin-key').expect(200);
+    expect(acme.body.workspaces.map(entry => entry.workspace)).toEqual(['acme']);
+    await request(app).get('/ready').expect(503);
+    await request(app).get('/doctor?workspace=nope').set('X-Admin-Key', 'test-admin-key').expect(404);
+  });
+
+  test('missing optional properties only degrade readiness', async () => {
+    mockSchemas({ 'sends-db': types({ Name: 'title', Story: 'relation', Channel: 'relation' }) });
+
+    const response = await request(app).get('/doctor').set('X-Admin-Key', 'test-admin-key').expect(200);
+
+    expect(response.body).toMatchObject({ status: 'degraded', errors: 0, warnings: 3 });
+    await request(app).get('/ready').expect(200);
+  });
+});
+
+describe('Admin auth and request limits', () => {
+  test('diagnostic routes need the admin key', async () => {
+    await request(app).get('/debug').expect(401).expect('WWW-Authenticate', /Basic/);
+    await request(app).get('/debug').set('Authorization', 'Bearer wrong-key').expect(401);
+    await request(app).get('/test-epic/epic-1').expect(401);
+    await request(app).get('/debug').set('X-Webhook-Token', 'test-notion-secret').expect(401);
+
+    await request(app).get('/debug').set('Authorization', 'Bearer test-admin-key').expect(200);
+    const basic = Buffer.from('ops:test-admin-key').toString('base64');
+    await request(app).get('/debug').set('Authorization', `Basic ${basic}`).expect(200);
+  });
+
+  test('webhook routes keep their own verification', async () => {
+    await request(app).post('/webhook/promo-sends').set('X-Admin-Key', 'test-admin-key').send({ storyId: 'story-a' }).expect(401);
+    await request(app).get('/health').expect(200);
+  });
+
+  test('only allows CORS from configured origins', async () => {
+    const allowed = await request(app).get('/health').set('Origin', 'https://ops.example.com').expect(200);
+    expect(allowed.headers['access-control-allow-origin']).toBe('https://ops.example.com');
+
+    const other = await request(app).get('/health').set('Origin', 'https://evil.example.com').expect(200);
+    expect(other.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  test('rejects oversized and malformed bodies with JSON errors', async () => {
+    const oversized = await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ storyId: 'story-big', padding: 'x'.repeat(150 * 1024) })
+      .expect(413);
+    expect(oversized.body.error).toMatch(/100kb limit/);
+
+    await request(app)
+      .post('/webhook/promo-sends')
+      .set('Content-Type', 'application/json')
+      .send('{"storyId":')
+      .expect(400, { error: 'Request body is not valid JSON' });
+  });
+});
+
+describe('Undo workflow copy runs', () => {
+  const templates = {
+    'tpl-1': page('tpl-1', 'Order labels', { Blocking: { relation: [{ id: 'tpl-2' }] } }),
+    'tpl-2': page('tpl-2', 'Ship')
+  };
+
+  beforeEach(() => {
+    mockNotion.pages.retrieve.mockImplementation(async ({ page_id }) =>
+      templates[page_id] || page(page_id, 'Spring Batch')
+    );
+    mockNotion.databases.query.mockResolvedValue({
+      results: [templates['tpl-1'], templates['tpl-2']],
+      has_more: false
+    });
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Title: {}, Epic: {}, Blocking: {} } });
+    mockNotion.pages.create
+      .mockResolvedValueOnce({ id: 'story-a' })
+      .mockResolvedValueOnce({ id: 'story-b' });
+    mockNotion.pages.update.mockResolvedValue({});
+    mockNotion.blocks.children.list.mockResolvedValue({ results: [], has_more: false });
+  });
+
+  async function copyRun(eventId) {
+    const response = await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', source: { event_id: eventId } })
+      .expect(200);
+    return response.body.runId;
+  }
+
+  test('records created pages and relation updates', async () => {
+    const runId = await copyRun('evt-undo-1');
+
+    const run = await request(app).get(`/workflow-runs/${runId}`).set('X-Webhook-Token', 'test-notion-secret').expect(200);
+    expect(run.body.status).toBe('completed');
+    expect(run.body.createdPages.map(p => p.pageId)).toEqual(['story-a', 'story-b']);
+    expect(run.body.relationUpdates).toEqual([{ pageId: 'story-a', properties: ['Blocking'] }]);
+  });
+
+  test('clears relations and archives created pages', async () => {
+    const runId = await copyRun('evt-undo-2');
+    mockNotion.pages.update.mockClear();
+
+    const response = await request(app)
+      .post(`/workflow-runs/${runId}/undo`)
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .expect(200);
+
+    expect(response.body).toEqual(expect.objectContaining({ relationsCleared: 1, pagesArchived: 2, failed: [] }));
+    expect(mockNotion.pages.update).toHaveBeenCalledWith({ page_id: 'story-a', properties: { Blocking: { relation: [] } } });
+    expect(mockNotion.pages.update).toHaveBeenCalledWith({ page_id: 'story-a', archived: true });
+    expect(mockNotion.pages.update).toHaveBeenCalledWith({ page_id: 'story-b', archived: true });
+
+    await request(app)
+      .post(`/workflow-runs/${runId}/undo`)
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .expect(409);
+  });
+
+  test('reports what it could not undo and retries only that', async () => {
+    const runId = await copyRun('evt-undo-3');
+    mockNotion.pages.update.mockReset();
+    mockNotion.pages.update
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(Object.assign(new Error('Page is locked'), { code: 'validation_error' }));
+
+    const first = await request(app)
+      .post(`/workflow-runs/${runId}/undo`)
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .expect(200);
+
+    expect(first.body.message).toBe('Workflow run partially undone');
+    expect(first.body.failed).toEqual([{ pageId: 'story-b', action: 'archive', error: 'Page is locked' }]);
+
+    mockNotion.pages.update.mockReset();
+    mockNotion.pages.update.mockResolvedValue({});
+
+    const retry = await request(app)
+      .post(`/workflow-runs/${runId}/undo`)
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .expect(200);
+
+    expect(retry.body.pagesArchived).toBe(1);
+    expect(mockNotion.pages.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('undo needs the workflow copy secret or the admin key', async () => {
+    const runId = await copyRun('evt-undo-auth');
+    mockNotion.pages.update.mockClear();
+
+    await request(app).post(`/workflow-runs/${runId}/undo`).expect(401);
+    await request(app).post(`/workflow-runs/${runId}/undo`).set('X-Webhook-Token', 'test-promo-secret').expect(401);
+    expect(mockNotion.pages.update).not.toHaveBeenCalled();
+
+    await request(app).post(`/workflow-runs/${runId}/undo`).set('X-Admin-Key', 'test-admin-key').expect(200);
+  });
+
+  test('runs cut off by a restart are marked interrupted and can be undone', async () => {
+    const run = await request(app).get('/workflow-runs/run-crashed').set('X-Webhook-Token', 'test-notion-secret').expect(200);
+    expect(run.body.status).toBe('interrupted');
+    mockNotion.pages.update.mockClear();
+
+    const response = await request(app)
+      .post('/workflow-runs/run-crashed/undo')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .expect(200);
+
+    expect(response.body).toEqual(expect.objectContaining({ pagesArchived: 1, failed: [] }));
+    expect(mockNotion.pages.update).toHaveBeenCalledWith({ page_id: 'story-crashed', archived: true });
+  });
+
+  test('unknown runs return 404', async () => {
+    await request(app)
+      .post('/workflow-runs/nope/undo')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .expect(404);
+  });
+});
+
+describe('Workspaces', () => {
+  beforeEach(() => {
+    mockNotion.pages.retrieve.mockResolvedValue(page('story-w', 'Launch', { Projects: { relation: [{ id: 'project-w' }] } }));
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Projects: { type: 'relation' } } });
+    mockNotion.databases.query.mockResolvedValue({ results: [], has_more: false });
+  });
+
+  test('creates one Notion client per workspace token', () => {
+    expect(clientAuths).toEqual(expect.arrayContaining(['acme-token', 'ops-token']));
+    expect(clientAuths).toHaveLength(3);
+  });
+
+  test('routes /w/:workspace webhooks to that workspace\'s databases', async () => {
+    await request(app)
+      .post('/w/acme/webhook/promo-sends')
+      .set('X-Webhook-Token', 'acme-promo-secret')
+      .send({ storyId: 'story-w' })
+      .expect(200);
+
+    const queriedDbs = mockNotion.databases.query.mock.calls.map(([args]) => args.database_id);
+    expect(queriedDbs).toEqual(expect.arrayContaining(['acme-sends-db', 'acme-channels-db']));
+    expect(queriedDbs).not.toContain('sends-db');
+  });
+
+  test('picks the workspace from the X-Koii-Workspace header', async () => {
+    await request(app)
+      .post('/webhook/promo-sends')
+      .set('X-Koii-Workspace', 'acme')
+      .set('X-Webhook-Token', 'acme-promo-secret')
+      .send({ storyId: 'story-w2' })
+      .expect(200);
+
+    expect(mockNotion.databases.query.mock.calls[0][0].database_id).toBe('acme-sends-db');
+  });
+
+  test('checks each workspace\'s own secret', async () => {
+    await request(app)
+      .post('/w/acme/webhook/promo-sends')
+      .set('X-Webhook-Token', 'test-promo-secret')
+      .send({ storyId: 'story-w3' })
+      .expect(401);
+  });
+
+  test('unknown workspaces return 404', async () => {
+    const response = await request(app)
+      .post('/w/nope/webhook/promo-sends')
+      .send({ storyId: 'story-w4' })
+      .expect(404);
+
+    expect(response.body.error).toBe('Unknown workspace: nope');
+  });
+});
+
+describe('Template content copy', () => {
+  // Fake block storage: template blocks are defined up front, copied blocks are
+  // recorded as they're appended so the resulting tree can be compared
+  let blocks;
+  let nextId;
+
+  function block(id, type, children = [], content = {}) {
+    blocks[id] = { id, type, [type]: { rich_text: [{ plain_text: id }], ...content }, has_children: children.length > 0, children: children.map(c => c.id) };
+    return blocks[id];
+  }
+
+  function storeAppended(parentId, payloads) {
+    return payloads.map(payload => {
+      const id = `copy-${nextId++}`;
+      const { children = [], ...content } = payload[payload.type];
+      blocks[id] = { id, type: payload.type, [payload.type]: content, has_children: children.length > 0, children: [] };
+      blocks[parentId].children.push(id);
+      storeAppended(id, children);
+      return blocks[id];
+    });
+  }
+
+  // The copied tree as [type, label, children] tuples
+  function tree(id) {
+    return blocks[id].children.map(childId => {
+      const child = blocks[childId];
+      const label = child[child.type]?.rich_text?.[0]?.plain_text || null;
+      return [child.type, label, tree(childId)];
+    });
+  }
+
+  beforeEach(() => {
+    blocks = { 'story-page': { id: 'story-page', children: [] } };
+    nextId = 1;
+
+    const paragraphs = Array.from({ length: 120 }, (_, i) => block(`p${i}`, 'paragraph'));
+    blocks['tpl-1'] = {
+      id: 'tpl-1',
+      children: [
+        block('toggle', 'toggle', [block('nested', 'paragraph', [block('deep', 'bulleted_list_item')])]),
+        block('cols', 'column_list', [
+          block('col-a', 'column', [block('a1', 'paragraph'), block('a-toggle', 'toggle', [block('a-inner', 'paragraph')])]),
+          block('col-b', 'column', [block('b1', 'paragraph')])
+        ]),
+        block('db', 'child_database'),
+        block('upload', 'image', [], { type: 'file', file: { url: 'https://s3/x.png' } }),
+        block('hosted', 'image', [], { type: 'external', external: { url: 'https://example.com/x.png' } }),
+        ...paragraphs
+      ].map(b => b.id)
+    };
+
+    mockNotion.pages.retrieve.mockResolvedValue(page('epic-1', 'Spring Batch'));
+    mockNotion.databases.query.mockResolvedValue({ results: [page('tpl-1', 'SOP')], has_more: false });
+    mockNotion.databases.retrieve.mockResolvedValue({ properties: { Title: {}, Epic: {} } });
+    mockNotion.pages.create.mockResolvedValue({ id: 'story-page' });
+
+    // Paginates 100 at a time like the real API
+    mockNotion.blocks.children.list.mockImplementation(async ({ block_id, start_cursor }) => {
+      const ids = blocks[block_id].children;
+      const start = start_cursor ? parseInt(start_cursor, 10) : 0;
+      const end = start + 100;
+      return {
+        results: ids.slice(start, end).map(id => blocks[id]),
+        has_more: end < ids.length,
+        next_cursor: end < ids.length ? String(end) : null
+      };
+    });
+    mockNotion.blocks.children.append.mockImplementation(async ({ block_id, children }) => {
+      if (children.length > 100) throw new Error('Too many children');
+      return { results: storeAppended(block_id, children) };
+    });
+  });
+
+  test('copies every block with its structure intact and reports skipped blocks', async () => {
+    const response = await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', idempotencyKey: 'content-copy' })
+      .expect(200);
+
+    const copied = tree('story-page');
+    expect(copied.slice(0, 3)).toEqual([
+      ['toggle', 'toggle', [['paragraph', 'nested', [['bulleted_list_item', 'deep', []]]]]],
+      ['column_list', 'cols', [
+        ['column', 'col-a', [['paragraph', 'a1', []], ['toggle', 'a-toggle', [['paragraph', 'a-inner', []]]]]],
+        ['column', 'col-b', [['paragraph', 'b1', []]]]
+      ]],
+      ['image', 'hosted', []]
+    ]);
+    expect(copied).toHaveLength(123);
+    expect(copied[122]).toEqual(['paragraph', 'p119', []]);
+
+    const result = response.body.results[0];
+    expect(result.skippedBlocks).toEqual([
+      expect.objectContaining({ templateId: 'tpl-1', blockId: 'db', type: 'child_database' }),
+      expect.objectContaining({ templateId: 'tpl-1', blockId: 'upload', type: 'image' })
+    ]);
+    expect(result.failedBlocks).toEqual([]);
+  });
+
+  test('appends one block at a time when Notion rejects a chunk, failing only the bad block', async () => {
+    const append = mockNotion.blocks.children.append.getMockImplementation();
+    mockNotion.blocks.children.append.mockImplementation(async (args) => {
+      if (args.children.some(child => child.paragraph?.rich_text?.[0]?.plain_text === 'p5')) {
+        throw Object.assign(new Error('body failed validation'), { code: 'validation_error' });
+      }
+      return append(args);
+    });
+
+    const response = await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', idempotencyKey: 'content-copy-invalid' })
+      .expect(200);
+
+    const copied = tree('story-page');
+    expect(copied).toHaveLength(122);
+    expect(copied.map(([, label]) => label)).not.toContain('p5');
+    expect(copied[0]).toEqual(['toggle', 'toggle', [['paragraph', 'nested', [['bulleted_list_item', 'deep', []]]]]]);
+
+    const result = response.body.results[0];
+    expect(result.blocksCopied).toBeGreaterThanOrEqual(122);
+    expect(result.failedBlocks).toEqual([
+      expect.objectContaining({ blockIds: ['p5'], destinationBlockId: 'story-page', error: 'body failed validation' })
+    ]);
+  });
+
+  test('a failure copying nested blocks is reported for their parent only', async () => {
+    const list = mockNotion.blocks.children.list.getMockImplementation();
+    mockNotion.blocks.children.list.mockImplementation(async (args) => {
+      if (args.block_id === 'deep') throw Object.assign(new Error('Could not load'), { code: 'object_not_found' });
+      return list(args);
+    });
+    blocks.deep.has_children = true;
+    blocks.deep.children = [block('deeper', 'paragraph').id];
+
+    const response = await request(app)
+      .post('/webhook/notion')
+      .set('X-Webhook-Token', 'test-notion-secret')
+      .send({ workflows: ['New batch'], batchEpic: 'epic-1', idempotencyKey: 'content-copy-nested' })
+      .expect(200);
+
+    const copied = tree('story-page');
+    expect(copied).toHaveLength(123);
+    expect(copied[0]).toEqual(['toggle', 'toggle', [['paragraph', 'nested', [['bulleted_list_item', 'deep', []]]]]]);
+
+    const result = response.body.results[0];
+    expect(result.failedBlocks).toEqual([
+      expect.objectContaining({ blockIds: ['deep'], error: 'Children not copied: Could not load' })
+    ]);
+  });
+});